@@ -0,0 +1,31 @@
+/**
+ * Running without hardware: a software Bus Pirate with a scripted device
+ */
+
+var BusPirate = require('../');
+
+// The attached "device" answers every SPI byte with its inverse, and prints
+// whatever is sent to it over UART
+var emulator = new BusPirate.Emulator({
+	spi: function(mosi) {
+		return mosi ^ 0xff;
+	},
+	uart: function(data) {
+		console.log('Device received: ' + data);
+	}
+});
+
+// The emulator goes where the device path would normally go
+var pirate = new BusPirate(emulator, 115200, true);
+
+pirate.on('connected', function() {
+	pirate.uart.start({
+		baudrate: 9600
+	});
+});
+
+pirate.uart.on('ready', function() {
+	pirate.uart.write('ping UART\r\n');
+});
+
+module.exports = pirate;
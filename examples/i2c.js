@@ -0,0 +1,40 @@
+/**
+ * I2C bus example
+ */
+
+var BusPirate = require('../');
+
+// Initialise buspirate.  This also does a console reset and enters binmode
+var pirate = new BusPirate('/dev/tty.usbserial-A9014MJZ', 115200, true);
+
+pirate.on('error', function(e) {
+	console.log('BP error: ', e);
+});
+
+pirate.on('connected', function() {
+	// Start I2C with the power supplies and pull-up resistors on
+	pirate.i2c.start({
+		speed: 100,
+		power: 1,
+		pullups: 1
+	});
+});
+
+pirate.i2c.on('ready', function() {
+	// Look for devices, then read two bytes from register 0x00 of the first
+	pirate.i2c.scan()
+		.then(function(addresses) {
+			console.log('Found: ', addresses.map(function(a) {
+				return '0x' + a.toString(16);
+			}));
+
+			if (addresses.length) {
+				return pirate.i2c.write_read(addresses[0], [0x00], 2);
+			}
+		})
+		.then(function(data) {
+			console.log('Read: ', data);
+		});
+});
+
+module.exports = pirate;
@@ -0,0 +1,43 @@
+/**
+ * 1-Wire example: read every DS18B20 temperature sensor on the bus
+ */
+
+var BusPirate = require('../');
+
+// Initialise buspirate.  This also does a console reset and enters binmode
+var pirate = new BusPirate('/dev/tty.usbserial-A9014MJZ', 115200, true);
+
+pirate.on('error', function(e) {
+	console.log('BP error: ', e);
+});
+
+pirate.on('connected', function() {
+	// The bus needs a pull-up: use the on board one, fed by the power supply
+	pirate.onewire.start({
+		power: 1,
+		pullups: 1
+	});
+});
+
+pirate.onewire.on('ready', function() {
+	pirate.onewire.search()
+		.then(function(roms) {
+			// DS18B20s have family code 0x28
+			var sensors = roms.filter(function(rom) {
+				return rom[0] === 0x28;
+			});
+
+			var p = Promise.resolve();
+			sensors.forEach(function(rom) {
+				p = p.then(function() {
+					return pirate.onewire.read_temperature(rom);
+				})
+				.then(function(temp) {
+					console.log(rom.toString('hex') + ': ' + temp + 'C');
+				});
+			});
+			return p;
+		});
+});
+
+module.exports = pirate;
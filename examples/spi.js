@@ -21,11 +21,11 @@ pirate.on('connected', function() {
 
 pirate.spi.on('ready', function() {
 	// Write and read some data
-	// pirate.spi.read(3, function(b) {
+	// pirate.spi.read(3).then(function(b) {
 	// 	console.log('Read: ', b);
 	// });
 
-	pirate.spi.write_read('ABCDEFGHIJKLMNOPABCDEF', function(err, data) {
+	pirate.spi.write_read('ABCDEFGHIJKLMNOPABCDEF').then(function(data) {
 		console.log('Received: ', data);
 	});
 
@@ -33,11 +33,9 @@ pirate.spi.on('ready', function() {
 });
 
 
-// Handle sniffer data
-pirate.spi.on('sniff', function(data) {
-	console.log(data.mosi.map(function(x) {
-		return String.fromCharCode(x);
-	}), data.miso);
+// Handle sniffer data: one transaction for every CS frame
+pirate.spi.on('transaction', function(t) {
+	console.log('MOSI:', t.mosi, 'MISO:', t.miso, (t.end - t.start) + 'ms');
 });
 
 module.exports = pirate;
\ No newline at end of file
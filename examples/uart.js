@@ -26,7 +26,7 @@ pirate.on('connected', function() {
 
 pirate.uart.on('ready', function() {
 	// Do other things with uart here...
-	pirate.config_periph(true,false,true,false);
+	pirate.config_periph({ power: true, aux: true });
 	pirate.uart.echo_rx(true);
 
 	setInterval(function() {
@@ -4,4 +4,32 @@
 
 var BusPirate = require('./lib/buspirate');
 
-module.exports = BusPirate;
\ No newline at end of file
+// Error classes, for telling failures apart
+BusPirate.errors = require('./lib/errors');
+
+// Ways of reaching the hardware: serial, TCP, any Duplex stream
+BusPirate.Transport = require('./lib/transport');
+
+// Find Bus Pirates on the serial ports
+BusPirate.discover = require('./lib/discover');
+
+// Bus Pirate syntax ('[0x9f r:3]') parser, as used by pirate.run()
+BusPirate.syntax = require('./lib/syntax');
+
+// SPI flash programmer
+BusPirate.SpiFlash = require('./lib/spiflash');
+
+// Software BusPirate, for testing without hardware
+BusPirate.Emulator = require('./lib/emulator');
+
+// Record sessions, and play them back without hardware
+BusPirate.Recorder = require('./lib/recorder');
+BusPirate.ReplayTransport = require('./lib/replay');
+
+// Export UART and SPI traffic to VCD and PCAP
+BusPirate.Capture = require('./lib/capture');
+
+// Remote control over HTTP and a WebSocket
+BusPirate.Server = require('./lib/server');
+
+module.exports = BusPirate;
@@ -0,0 +1,229 @@
+/**
+ * Voltage measurement with the ADC probe, in raw bitbang mode (BBIO1)
+ * http://dangerousprototypes.com/2009/10/09/bus-pirate-raw-bitbang-mode/
+ */
+
+var util = require('util');
+var events = require('events');
+
+var errors = require('./errors');
+
+module.exports = Adc;
+
+
+// 10 bit ADC, 3.3V reference, behind a /2 divider
+var VOLTS_PER_COUNT = 6.6 / 1024;
+
+// The stream has stopped once nothing has arrived for this long (ms)
+var QUIET_TIME = 50;
+
+
+/**
+ * Adc - gives a buspirate voltage measurement capabilities
+ */
+function Adc(buspirate) {
+    events.EventEmitter.call(this);
+
+    this.bp = buspirate;
+    this.running = false;
+    this.stop_request = null;
+    this.stopping = null;
+}
+
+// Event emitter!
+util.inherits(Adc, events.EventEmitter);
+
+
+/**
+ * Measure the voltage on the ADC probe once.  Resolves with volts.
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Adc.prototype.read = function(tx) {
+    if(this.bp.mode != 'binmode') {
+        return Promise.reject(new errors.ModeError('The ADC can only be read in binmode', this.bp.mode));
+    }
+
+    return this.bp.transaction((tx) => tx.query(0x14, 2), tx)
+        .then((data) => {
+            var volts = to_volts(data.readUInt16BE(0));
+            this.bp.log('adc', volts.toFixed(3) + 'V');
+            return volts;
+        });
+};
+
+
+/**
+ * Start measuring continuously.  Every sample is emitted as
+ * 'sample' (volts, raw).  Nothing else can use the BusPirate until stop()
+ * is called, as the stream holds on to the transaction queue.  Resolves
+ * once the samples are on their way.
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Adc.prototype.start = function(tx) {
+    if(this.stop_request) {
+        return Promise.resolve(true);
+    }
+
+    var stop_requested = new Promise((resolve) => {
+        this.stop_request = resolve;
+    });
+
+    return new Promise((started, failed) => {
+        var stopped = this.bp.transaction((tx) => {
+            var pending = [];
+
+            if(this.bp.mode != 'binmode') {
+                throw new errors.ModeError('The ADC can only be read in binmode', this.bp.mode);
+            }
+
+            // Samples are two bytes, MSB first, and may be split across
+            // blocks of received data
+            var onreceive = (data) => {
+                pending.push.apply(pending, data);
+                while(pending.length >= 2) {
+                    var raw = (pending.shift() << 8) | pending.shift();
+                    this.emit('sample', to_volts(raw), raw);
+                }
+            };
+
+            this.bp.on('receive', onreceive);
+
+            return tx.write(0x15)
+                .then(() => {
+                    this.running = true;
+                    this.bp.log('adc', 'Continuous measurement started');
+                    this.emit('start');
+                    started(true);
+                    return stop_requested;
+                })
+                // Any byte stops the stream.  There's no reply, so wait for
+                // the samples already on their way to stop arriving.
+                .then(() => tx.write(0xff))
+                .then(() => quiet(this.bp, QUIET_TIME))
+                .then(() => {
+                    this.bp.removeListener('receive', onreceive);
+                }, (err) => {
+                    this.bp.removeListener('receive', onreceive);
+                    throw err;
+                });
+        }, tx);
+
+        this.stopping = stopped
+            .then(() => {
+                this.stop_request = null;
+                this.running = false;
+                this.bp.log('adc', 'Continuous measurement stopped');
+                this.emit('stop');
+                return true;
+            }, (err) => {
+                this.stop_request = null;
+                this.running = false;
+                this.emit('stop');
+                failed(err);
+                throw err;
+            });
+
+        // Errors reach whoever started or stops the stream
+        this.stopping.catch(() => {});
+    });
+};
+
+/**
+ * Stop measuring continuously.  Resolves once the BusPirate is free again.
+ */
+Adc.prototype.stop = function() {
+    if(!this.stop_request) {
+        return Promise.resolve(false);
+    }
+
+    this.stop_request();
+    return this.stopping;
+};
+
+
+/**
+ * Continuous measurement as an async iterator of volts.  Starts measuring
+ * if needed, and stops when the loop ends:
+ *    for await (var volts of pirate.adc.samples()) { ... }
+ */
+Adc.prototype.samples = function() {
+    var queue = [];
+    var waiting = [];
+    var done = false;
+
+    var onsample = (volts) => {
+        if(waiting.length) {
+            waiting.shift().resolve({ value: volts, done: false });
+        } else {
+            queue.push(volts);
+        }
+    };
+
+    var finish = () => {
+        done = true;
+        this.removeListener('sample', onsample);
+        this.removeListener('stop', finish);
+        waiting.splice(0).forEach((w) => w.resolve({ value: undefined, done: true }));
+    };
+
+    var fail = (err) => {
+        done = true;
+        this.removeListener('sample', onsample);
+        this.removeListener('stop', finish);
+        waiting.splice(0).forEach((w) => w.reject(err));
+    };
+
+    this.on('sample', onsample);
+    this.start().then(() => this.on('stop', finish), fail);
+
+    var iterator = {
+        next: () => {
+            if(queue.length) {
+                return Promise.resolve({ value: queue.shift(), done: false });
+            }
+            if(done) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+            return new Promise((resolve, reject) => {
+                waiting.push({ resolve: resolve, reject: reject });
+            });
+        },
+        return: () => {
+            finish();
+            return this.stop().then(() => ({ value: undefined, done: true }));
+        }
+    };
+
+    iterator[Symbol.asyncIterator] = () => iterator;
+    return iterator;
+};
+
+
+/*****[ Utilities ]********************************************************/
+
+function to_volts(raw) {
+    return raw * VOLTS_PER_COUNT;
+}
+
+/**
+ * Resolve once nothing has been received for ms
+ */
+function quiet(bp, ms) {
+    return new Promise((resolve) => {
+        var tid;
+        var again = () => {
+            clearTimeout(tid);
+            tid = setTimeout(() => {
+                bp.removeListener('receive', again);
+                resolve();
+            }, ms);
+        };
+
+        bp.on('receive', again);
+        again();
+    });
+}
+
+Adc.VOLTS_PER_COUNT = VOLTS_PER_COUNT;
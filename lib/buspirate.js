@@ -7,97 +7,181 @@
  * See http://dangerousprototypes.com/2009/10/09/bus-pirate-raw-bitbang-mode/
  */
 
-var SerialPort = require('serialport');
 var colors = require('colors');
 var util = require('util');
 var events = require('events');
 
 var Uart = require('./uart');
 var Spi  = require('./spi');
+var I2c  = require('./i2c');
+var OneWire = require('./onewire');
+var RawWire = require('./rawwire');
+var Pins = require('./pins');
+var Adc = require('./adc');
+var Pwm = require('./pwm');
+var Terminal = require('./terminal');
+var syntax = require('./syntax');
+var Transport = require('./transport');
+var errors = require('./errors');
+var delay = require('./utils').delay;
 
 module.exports = BusPirate;
 
 /**
  * BusPirate constructor. Creates the object that sets up everything correctly
  * for higher level modules (uart, spi, etc).
- * @param {string} device  Path to device, eg /dev/tty.usbblah. Required
+ * Can also be called as BusPirate(device, options), with options:
+ *    baud            Baud rate to use. Default 115200
+ *    debug           Debug mode flag, default false
+ *    timeout         Default time (ms) to wait for a reply. Default 2000,
+ *                    0=forever
+ *    handle_signals  Close the BusPirate (see close()) and exit the process
+ *                    on SIGINT or SIGTERM.  Default false
+ *    reconnect       Reopen the device if it goes away (eg unplugged) and
+ *                    put it back as it was.  See reconnect().  Only for
+ *                    devices given as a path or address.  Default false
+ *    reconnect_interval  Time (ms) between attempts to reopen.  Default 1000
+ * @param {string|Object} device  Path to device, eg /dev/tty.usbblah, a TCP
+ *                                address (host:port), a Transport or any
+ *                                Duplex stream. Required
  * @param {number} baud  Baud rate to use. Default 115200
  * @param {bool} debug Debug mode flag, default false
  */
 function BusPirate(device, baud, debug) {
     var self = this;
+    var options = ('object' === typeof baud && baud) ? baud : { baud: baud, debug: debug };
 
     events.EventEmitter.call(this);
 
-    this.debug = debug || false;
+    this.debug = options.debug || false;
+    this.timeout = ('timeout' in options) ? options.timeout : 2000;
+    this.handle_signals = options.handle_signals || false;
     this.waiters = [];
     this.data_buffer = new Buffer('');
+    this.queue = Promise.resolve();
+    this.connected = false;
+    this.closing = null;
+    this.reconnecting = false;
+    this.reconnect_timer = null;
 
-    baud = baud || 115200;
-    this.log('info', 'Initialising BusPirate at ' + device);
-    this.port = new SerialPort(device, { baudrate: baud });
+    // Reopening the device needs to know what it was
+    this.device = device;
+    this.baud = options.baud || 115200;
+    this.reconnect_interval = options.reconnect_interval || 1000;
+    this.auto_reconnect = !!options.reconnect;
+
+    if(this.auto_reconnect && !('string' === typeof device || (device && device.host && 'function' !== typeof device.write))) {
+        this.log('warn', 'Only devices given as a path or address can be reconnected');
+        this.auto_reconnect = false;
+    }
+
+    // The last config_periph() settings, restored after reconnecting
+    this.periph = null;
+
+    // What the device said it is, once connected.  See read_info()
+    this.info = null;
+
+    this.port = Transport.create(device, this.baud);
+    this.port_open = false;
+    this.log('info', 'Initialising BusPirate at ' + (this.port.path || device));
 
     // Modes
     this.mode = '';
     this.uart = new Uart(self);
     this.spi = new Spi(self);
+    this.i2c = new I2c(self);
+    this.onewire = new OneWire(self);
+    this.rawwire = new RawWire(self);
 
-    // Once the port opens, enter binary mode (bitbang)
-    this.port.on('open', function() {
-        self.log('info', 'Device open', device);
+    // Direct pin control, the ADC probe and PWM, in binmode
+    this.pins = new Pins(self);
+    this.adc = new Adc(self);
+    this.pwm = new Pwm(self);
+
+    // The user terminal, for features with no binary equivalent
+    this.terminal = new Terminal(self);
 
-        // Generic error handler
-        self.port.on('error', function(err) {
+    // Port and process event handlers, kept so that close() can remove them
+    this.handlers = {
+        // Generic error handler.  When reconnecting, a port error is just
+        // another way of going away.
+        error: function(err) {
             self.log('error', err);
+
+            if(self.auto_reconnect && !self.closing) {
+                return self.reconnect(err);
+            }
             self.emit('error', err);
-        });
+        },
 
-        // As soon as it's open, reset console and go binmode
-        self.reset_console()
-            .then(() => {
-                // Set up handlers for data sent from the buspirate
-                self.port.on('data', function(data) {
-                    self.log('receive', data);
-                    self.emit('receive', data);
+        // Nothing more is coming for anyone still waiting
+        close: function() {
+            self.log('info', 'Device closed');
+            self.port_open = false;
+            self.fail_waiters(new errors.PortClosedError('Port closed while waiting for a reply'));
+
+            if(self.auto_reconnect && !self.closing) {
+                self.reconnect();
+            } else if(!self.closing && self.mode) {
+                // Gone for good: whatever mode it was in is over
+                self.connected = false;
+                self.mode = '';
+                self.emit('mode', '');
+            }
+        },
 
+        // Data sent from the buspirate
+        data: function(data) {
+            self.log('receive', data);
+            self.emit('receive', data);
 
-                    // Give the received data to any waiting functions
-                    if(self.waiters.length > 0) {
-                        self.data_buffer = Buffer.concat([self.data_buffer, data]);
+            // Give the received data to any waiting functions
+            if(self.waiters.length > 0) {
+                self.data_buffer = Buffer.concat([self.data_buffer, data]);
 
-                        for(var i = self.waiters.length - 1; i >= 0; i--) {
-                            self.data_buffer = self.waiters[i](self.data_buffer, i, self.waiters);
-                        }
+                for(var i = self.waiters.length - 1; i >= 0; i--) {
+                    if(self.waiters[i]) {
+                        self.data_buffer = self.waiters[i](self.data_buffer);
                     }
-                    return true;
-                });
-            })
-            .then(() => self.enter_binmode())
-            .then(() => {
-                // Drain the serial port
-                self.port.flush(function(err) {
-                    self.emit('connected');
-
-                    // Reset to binmode when exiting via Control-C
-                    process.on('SIGINT', function() {
-                        console.log('EXITING. Press Control-D to force'.red);
-                        self.enter_binmode().then(() => process.exit(0));
-                    });
-                });
-                return true;
-            }, (err) => {
-                console.log("Can't enter bin-mode: assuming BP is in uart-bridge mode".red);
-                self.mode = 'uart_bridge';
-                self.port.flush((err) => {
-                    self.emit('connected');
-                });
-            })
+                }
+
+                // In UART mode, whatever is left once every reply is in came
+                // from the UART
+                if(!self.waiters.length && self.mode == 'uart' && self.data_buffer.length) {
+                    data = self.data_buffer;
+                    self.data_buffer = new Buffer(0);
+                    self.emit('unclaimed', data);
+                }
+            } else {
+                // Nobody asked for it, eg data from the UART
+                self.emit('unclaimed', data);
+            }
+            return true;
+        },
+
+        // Put the BusPirate back to its terminal before exiting.  A second
+        // signal while that happens exits straight away.
+        signal: function(signal) {
+            if(self.closing) {
+                process.exit(1);
+            }
+            console.log(('EXITING on ' + signal + '. Again to force').red);
+            self.close().then(() => process.exit(0), () => process.exit(1));
+        }
+    };
+
+    // Errors can come before the port opens, eg a refused TCP connection
+    this.port.on('error', this.handlers.error);
+
+    // Once the port opens, enter binary mode (bitbang)
+    this.port.on('open', function() {
+        self.setup()
+            .then(() => self.ready())
             .catch((err) => {
                 if(self.listeners('error').length) {
                     self.emit('error', err);
                 }
             });
-
     });
 }
 
@@ -106,63 +190,401 @@ util.inherits(BusPirate, events.EventEmitter);
 
 
 /**
- * Make sure we aren't in any menus or anything, and send # to reset
+ * Set up a newly opened port: listen to it, reset the console and enter
+ * binary mode (bitbang).  Resolves once the BusPirate can be used.
+ * @param  {String} last_mode  Optional - the mode before reconnecting.  A
+ *                             UART bridge may still be there, passing
+ *                             everything to the target, so isn't asked
+ *                             for its info banner
  */
-BusPirate.prototype.reset_console = function() {
-    // Enter ten times then #
-    // note that if we're already in a binary mode, this will generate
-    // a string of 0x00 response bytes, so we pause and then drain
-    this.log("resetting console");
+BusPirate.prototype.setup = function(last_mode) {
+    this.log('info', 'Device open', this.port.path || this.device);
+    this.port_open = true;
+
+    this.port.on('close', this.handlers.close);
 
-    return this.write([0x0d, 0x0d, 0x0d, 0x0d, 0x0d, 0x0d, 0x0d, 0x0d, 0x0d, 0x0d, 0x23])
+    // As soon as it's open, reset console and go binmode
+    return this.reset_console()
         .then(() => {
-            return new Promise((resolve, reject) => {
-                setTimeout(() => {
-                    this.log("console reset");
-                    resolve(true);
-                }, 1000);
+            this.port.on('data', this.handlers.data);
+        })
+        // Find out what we're talking to while still at the terminal.
+        // Not fatal: it may already be in binmode or a bridge.
+        .then(() => {
+            if(last_mode == 'uart_bridge') {
+                this.log('info', 'Was a UART bridge: not asking for the info banner');
+                return;
+            }
+
+            return this.read_info().catch((err) => {
+                if(!(err instanceof errors.TimeoutError)) {
+                    throw err;
+                }
+                this.log('warn', 'No info banner from the device');
             });
-        });
+        })
+        .then(() => this.enter_binmode())
+        .catch((err) => {
+            if(!(err instanceof errors.TimeoutError)) {
+                throw err;
+            }
+            console.log("Can't enter bin-mode: assuming BP is in uart-bridge mode".red);
+            this.mode = 'uart_bridge';
+        })
+        // Drain the serial port
+        .then(() => new Promise((resolve) => this.port.flush(() => resolve(true))));
 };
 
 /**
- * Enter binary mode by writing 0x00 enough times
+ * Connected: the BusPirate is ready for use
  */
-BusPirate.prototype.enter_binmode = function() {
+BusPirate.prototype.ready = function() {
+    if(this.closing) {
+        return;
+    }
+
+    this.connected = true;
 
-    if((this.mode == 'binmode') || (this.mode == 'uart_bridge')) {
-        return Promise.resolve();
+    if(this.handle_signals) {
+        process.on('SIGINT', this.handlers.signal);
+        process.on('SIGTERM', this.handlers.signal);
     }
 
-    var tid;
-    var p1 = new Promise((resolve, reject) => {
-        var count = 0;
+    this.emit('connected');
+};
 
-        // Periodically write 0x00, max 25 times
-        tid = setInterval(() => {
-            this.write(0x00);
-            count++;
 
-            if(count > 25) {
-                clearInterval(tid);
-                this.waiters = [];
-                reject(new Error("cannot acquire binary mode"));
+/***** Lifecycle *****/
+
+/**
+ * Leave the current mode and send the BusPirate back to its user terminal
+ * (the BBIO reset, 0x0f).  The SPI sniffer and continuous ADC are stopped
+ * first; the reset also turns off the power supplies and PWM.
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+BusPirate.prototype.reset = function(tx) {
+    if(!this.mode || this.mode == 'terminal') {
+        return Promise.resolve(true);
+    }
+
+    if(this.mode == 'uart_bridge') {
+        return Promise.reject(new errors.ModeError('UART bridge mode can only be left by unplugging the BusPirate', this.mode));
+    }
+
+    // The ADC stream holds the transaction queue until it stops
+    return this.adc.stop()
+        .then(() => this.transaction((tx) => {
+            var p = this.spi.sniffer ? this.spi.sniff(false, tx) : Promise.resolve();
+
+            return p
+                .then(() => this.enter_binmode(tx))
+                .then(() => tx.command(0x0f, 0x01))
+                .then(() => {
+                    this.log('info', 'Reset to the terminal');
+                    this.periph = null;
+                    this.mode = 'terminal';
+                    this.emit('mode', 'terminal');
+                    return true;
+                });
+        }, tx));
+};
+
+/**
+ * Close the BusPirate: reset it to its user terminal (see reset()), fail
+ * anything still waiting for a reply, remove our listeners and close the
+ * port.  Emits 'close'.  Resolves once the port is closed, even if the
+ * reset failed.
+ * @param  {Object} options  Optional - { reset: false } leaves the
+ *                           BusPirate in its current mode (eg to keep the
+ *                           power supplies on).  A UART bridge is never
+ *                           reset
+ */
+BusPirate.prototype.close = function(options) {
+    // A UART bridge can't be reset, only unplugged
+    var reset = !(options && options.reset === false) && this.connected && this.port_open &&
+                this.mode != 'uart_bridge';
+
+    if(this.closing) {
+        return this.closing;
+    }
+
+    var p = reset ? this.reset().catch((err) => this.log('warn', 'Reset failed while closing:', err.message)) :
+                    Promise.resolve();
+
+    this.closing = p.then(() => {
+        clearTimeout(this.reconnect_timer);
+        process.removeListener('SIGINT', this.handlers.signal);
+        process.removeListener('SIGTERM', this.handlers.signal);
+        this.fail_waiters(new errors.PortClosedError('BusPirate closed'));
+
+        return new Promise((resolve) => {
+            var done = () => {
+                this.detach_port();
+                this.port_open = false;
+                this.connected = false;
+
+                this.log('info', 'Closed');
+                this.emit('close');
+                resolve(true);
+            };
+
+            if(!this.port_open) {
+                return done();
             }
-        }, 20);
+
+            this.port.close((err) => {
+                if(err) {
+                    this.log('error', err);
+                }
+                done();
+            });
+        });
     });
 
+    return this.closing;
+};
 
-    // ... until BBIO1 is received
-    var p2 = this.expect('BBIO1')
-        .then(() => {
-            clearInterval(tid);
-            this.log('Binmode entered successfully');
-            this.mode = 'binmode';
-            this.emit('mode', 'binmode');
+
+/***** Reconnecting *****/
+
+/**
+ * The device has gone away (eg a USB glitch): keep trying to reopen it,
+ * then put it back as it was - the same mode, with the same settings,
+ * peripherals and UART RX echo.  Called automatically when the reconnect
+ * option is set.  Emits 'disconnected' (with the error, if there was one)
+ * straight away, and 'reconnected' once the BusPirate can be used again.
+ * Operations fail (ModeError or PortClosedError) in between.
+ * @param  {Error} err  Optional - why the device went away
+ */
+BusPirate.prototype.reconnect = function(err) {
+    if(this.reconnecting || this.closing) {
+        return;
+    }
+
+    var state = {
+        mode: this.mode,
+        periph: this.periph,
+        echo_rx: this.uart.echo_rx_on
+    };
+
+    this.reconnecting = true;
+    this.connected = false;
+    this.port_open = false;
+    this.drop_port();
+    this.fail_waiters(new errors.PortClosedError('Device went away while waiting for a reply'));
+
+    // Whatever the modes were doing is gone (the ADC stream holds the
+    // transaction queue until told to stop)
+    this.adc.stop().catch(() => {});
+    this.mode = '';
+    this.emit('mode', '');
+
+    this.log('warn', 'Device went away, reconnecting to ' + (this.port.path || this.device));
+    this.emit('disconnected', err);
+
+    var attempt = () => {
+        if(this.closing) {
+            return;
+        }
+
+        try {
+            this.port = Transport.create(this.device, this.baud);
+        } catch(err) {
+            return retry(err);
+        }
+
+        // Until it opens, errors just mean it isn't back yet
+        this.port.once('error', retry);
+        this.port.once('open', () => {
+            this.port.removeListener('error', retry);
+            this.port.on('error', this.handlers.error);
+
+            if(this.closing) {
+                return this.port.close(() => {});
+            }
+
+            this.setup(state.mode)
+                .then(() => this.restore(state))
+                .then(() => {
+                    this.reconnecting = false;
+                    this.connected = true;
+                    this.log('info', 'Reconnected');
+                    this.emit('reconnected', state.mode);
+                })
+                .catch((err) => {
+                    // Back to square one
+                    this.log('error', err);
+                    this.port_open = false;
+                    this.mode = '';
+                    this.drop_port();
+                    retry(err);
+                });
+        });
+    };
+
+    var retry = (err) => {
+        this.log('info', 'Reconnect failed: ' + (err && err.message));
+        this.reconnect_timer = setTimeout(attempt, this.reconnect_interval);
+    };
+
+    this.reconnect_timer = setTimeout(attempt, this.reconnect_interval);
+};
+
+/**
+ * Put a freshly set up BusPirate back into a mode, as saved by reconnect()
+ * @param  {Object} state  {mode, periph, echo_rx}
+ */
+BusPirate.prototype.restore = function(state) {
+    var mode = (state.mode == 'uart_bridge') ? 'uart' : state.mode;
+
+    // A bridge survives anything short of unplugging, so may still be there
+    if(!mode || this.mode == 'uart_bridge') {
+        return Promise.resolve(true);
+    }
+
+    return this.transaction((tx) => {
+        var p = Promise.resolve();
+
+        if(['uart', 'spi', 'i2c', 'onewire', 'rawwire'].indexOf(mode) >= 0) {
+            p = p.then(() => this[mode].start(this[mode].settings, tx));
+        }
+
+        // The terminal is reset with everything off
+        if(state.periph && mode != 'terminal') {
+            p = p.then(() => this.config_periph(state.periph, tx));
+        }
+
+        if(mode == 'uart' && state.echo_rx) {
+            p = p.then(() => this.uart.echo_rx(true, tx));
+        }
+
+        if(state.mode == 'uart_bridge') {
+            p = p.then(() => this.uart.uart_bridge(tx));
+        } else if(mode == 'terminal') {
+            p = p.then(() => this.terminal.enter(tx));
+        }
+
+        return p.then(() => {
+            this.log('info', 'Restored ' + state.mode + ' mode');
             return true;
         });
+    });
+};
 
-    return Promise.race([p1, p2]);
+/**
+ * Stop listening to the current port
+ */
+BusPirate.prototype.detach_port = function() {
+    this.port.removeListener('data', this.handlers.data);
+    this.port.removeListener('close', this.handlers.close);
+    this.port.removeListener('error', this.handlers.error);
+};
+
+/**
+ * Let go of a port that has failed: stop listening and close it if it's
+ * still open, ignoring any more errors from it
+ */
+BusPirate.prototype.drop_port = function() {
+    this.detach_port();
+    this.port.on('error', () => {});
+
+    if(this.port.isOpen !== false) {
+        this.port.close(() => {});
+    }
+};
+
+
+/**
+ * Make sure we aren't in any menus or anything, and send # to reset
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+BusPirate.prototype.reset_console = function(tx) {
+    return this.transaction((tx) => {
+        // Enter ten times then #
+        // note that if we're already in a binary mode, this will generate
+        // a string of 0x00 response bytes, so we pause and then drain
+        this.log("resetting console");
+
+        return tx.write([0x0d, 0x0d, 0x0d, 0x0d, 0x0d, 0x0d, 0x0d, 0x0d, 0x0d, 0x0d, 0x23])
+            .then(() => {
+                return new Promise((resolve, reject) => {
+                    setTimeout(() => {
+                        this.log("console reset");
+                        resolve(true);
+                    }, 1000);
+                });
+            });
+    }, tx);
+};
+
+/**
+ * Ask the terminal what it is running on ('i'), and keep the answer as
+ * this.info (see parse_info for the fields).  Only works from the terminal,
+ * so it is done while connecting, before entering binmode.  Emits 'info'.
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+BusPirate.prototype.read_info = function(tx) {
+    if(this.mode && this.mode != 'terminal') {
+        return Promise.reject(new errors.ModeError('The info banner is only available at the terminal', this.mode));
+    }
+
+    return this.transaction((tx) => {
+        // A return first, to finish anything already typed.  After
+        // reset_console that's '#', so the BusPirate restarts: let its
+        // banner go by, up to the prompt, before asking
+        return tx.command('\r', PROMPT_END)
+            .then(() => tx.command('i\r', INFO_BANNER));
+    }, tx)
+        .then((banner) => {
+            this.info = parse_info(banner);
+            this.log('info', 'Hardware ' + this.info.hardware + ', firmware ' + this.info.firmware +
+                ', bootloader ' + this.info.bootloader);
+            this.emit('info', this.info);
+            return this.info;
+        });
+};
+
+/**
+ * Enter binary mode by writing 0x00 enough times
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+BusPirate.prototype.enter_binmode = function(tx) {
+    return this.transaction((tx) => {
+        if((this.mode == 'binmode') || (this.mode == 'uart_bridge')) {
+            return true;
+        }
+
+        // Periodically write 0x00, max 25 times
+        var count = 0;
+        var tid = setInterval(() => {
+            if(count++ < 25) {
+                tx.write(0x00).catch(() => {});
+            }
+        }, 20);
+
+        // ... until BBIO1 is received.  There may be terminal output first
+        return tx.expect(/BBIO1/, { timeout: 1000 })
+            .then(() => {
+                clearInterval(tid);
+                this.log('Binmode entered successfully');
+                this.mode = 'binmode';
+                this.emit('mode', 'binmode');
+
+                // Let the replies to any 0x00 still in flight go by
+                return delay(20);
+            }, (err) => {
+                clearInterval(tid);
+                if(err instanceof errors.TimeoutError) {
+                    err = new errors.TimeoutError('Cannot acquire binary mode', 'BBIO1', err.received);
+                }
+                throw err;
+            })
+            .then(() => true);
+    }, tx);
 };
 
 /**
@@ -170,38 +592,46 @@ BusPirate.prototype.enter_binmode = function() {
  * waiting for the correct response, MODE_ACK, and executing callback when
  * that happens. The mode module must pass in the above items in an object.
  * @param  {Array}   newmode  Array of constants that describe the new mode.
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
  */
-BusPirate.prototype.switch_mode = function(newmode) {
-    if(this.mode == 'uart_bridge') {
-        return Promise.resolve('uart_bridge');
-    }
+BusPirate.prototype.switch_mode = function(newmode, tx) {
+    return this.transaction((tx) => {
+        if(this.mode == 'uart_bridge') {
+            return 'uart_bridge';
+        }
 
-    if(this.mode != 'binmode') {
-        this.log('warn', 'Switching mode from ' + this.mode + ' to ' + newmode.MODE_NAME);
+        if(this.mode != 'binmode') {
+            this.log('warn', 'Switching mode from ' + this.mode + ' to ' + newmode.MODE_NAME);
 
-        var p = this.reset_console().then(() => this.enter_binmode());
-    } else {
-        this.log('info', 'Switching to mode: ' + newmode.MODE_NAME);
+            var p = this.reset_console(tx).then(() => this.enter_binmode(tx));
+        } else {
+            this.log('info', 'Switching to mode: ' + newmode.MODE_NAME);
 
-        var p = Promise.resolve();
-    }
+            var p = Promise.resolve();
+        }
 
-    return p.then(() => this.write(newmode.MODE_ID))
-        .then(() => this.expect(newmode.MODE_ACK))
-        .then(() => {
-            this.log('mode', newmode.MODE_NAME);
-            this.mode = newmode.MODE_NAME;
-            this.emit('mode', newmode.MODE_NAME);
-            return newmode.MODE_NAME;
-        });
+        return p.then(() => tx.command(newmode.MODE_ID, newmode.MODE_ACK))
+            .then(() => {
+                this.log('mode', newmode.MODE_NAME);
+                this.mode = newmode.MODE_NAME;
+                this.emit('mode', newmode.MODE_NAME);
+                return newmode.MODE_NAME;
+            });
+    }, tx);
 };
 
 /**
- * Set the BusPirate peripherals to the specified state (asynchronously)
- * @return {err}  null if everything worked fine
+ * Set the BusPirate peripherals to the specified state (asynchronously).
+ * In raw bitbang mode every pin can be set (see also pirate.pins), and AUX,
+ * CS and any other pin set high are made outputs; in the bus modes only
+ * power, pullups, aux and cs are available (the other pins belong to the
+ * bus).
+ * @param  {Object} opts  {power, pullups, aux, mosi, clk, miso, cs}
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
  */
-BusPirate.prototype.config_periph = function(opts) {
-    // TODO: make sure we're in an allowed mode?
+BusPirate.prototype.config_periph = function(opts, tx) {
     var o = Object.assign({
         power: false,
         pullups: false,
@@ -212,58 +642,301 @@ BusPirate.prototype.config_periph = function(opts) {
         cs: false
     }, opts);
 
-    var code = 0x80 |
-        (o.power << 6) |
-        (o.pullups << 5) |
-        (o.aux << 4) |
-        (o.mosi << 3) |
-        (o.clk < 2) |
-        (o.miso << 1) |
-        o.cs;
+    if(!this.mode || this.mode == 'uart_bridge' || this.mode == 'terminal') {
+        return Promise.reject(new errors.ModeError('Peripherals can only be set in a binary mode', this.mode));
+    }
+
+    if(this.mode == 'binmode') {
+        var code = 0x80 |
+            (o.power << 6) |
+            (o.pullups << 5) |
+            (o.aux << 4) |
+            (o.mosi << 3) |
+            (o.clk << 2) |
+            (o.miso << 1) |
+            o.cs;
+    } else {
+        var code = 0x40 |
+            (o.power << 3) |
+            (o.pullups << 2) |
+            (o.aux << 1) |
+            o.cs;
+    }
 
     if(o.pullups && this.mode == 'uart' && this.uart.settings.pin_output) {
         this.log('warn', 'Enabling pull up resistors with 3.3V UART output is probably a bad idea...');
     }
 
-    return this.write(code)
-        .then(() => {
-            return this.expect(0x1);
-        })
+    // In binmode the reply is the pin state rather than 0x01
+    var p = (this.mode == 'binmode') ? this.transaction((tx) => {
+        // Every pin is an input on entering binmode.  AUX and CS are driven
+        // as in the bus modes; the bus pins only when set high.
+        var dirs = { aux: 'out', cs: 'out' };
+
+        ['mosi', 'clk', 'miso'].forEach((pin) => {
+            if(o[pin]) {
+                dirs[pin] = 'out';
+            }
+        });
+
+        return this.pins.direction(dirs, tx)
+            .then(() => this.pins.write(o, tx));
+    }, tx) : this.command(code, 0x01, tx);
+
+    return p
         .then(() => {
+            this.periph = o;
             this.log('peripherals', code);
             this.emit('peripherals', code);
-        })
-        .catch((err) => {
-            console.log("TX error: ", err);
+            return true;
         });
 };
 
 
+/***** Bus syntax *****/
+
+/**
+ * Run Bus Pirate bus syntax in the current mode, eg '[0x9f r:3]' in SPI
+ * mode.  See lib/syntax.js for what is understood.  Resolves with
+ *    { steps, written, read }
+ * @param  {string} text  bus syntax
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+BusPirate.prototype.run = function(text, tx) {
+    return syntax.run(this, text, tx);
+};
+
+
+/***** Self-test *****/
+
+/**
+ * Run the BusPirate's self-test.  The long test also checks the power
+ * supplies and pull-ups, and needs two jumpers: +5V to Vpu and +3.3V to
+ * ADC.  The BusPirate is back in binmode afterwards.  Resolves with
+ *    { long, errors, passed }
+ * @param  {Object} options  Optional - { long: true } for the long test
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+BusPirate.prototype.selftest = function(options, tx) {
+    var long = !!(options && options.long);
+
+    if(this.mode == 'uart_bridge') {
+        return Promise.reject(new errors.ModeError('Cannot run the self-test from UART bridge mode', this.mode));
+    }
+
+    return this.transaction((tx) => {
+        // The test takes a few seconds (0 still means wait forever)
+        var timeout = ('timeout' in tx.options) ? tx.options.timeout : this.timeout;
+        var result;
+
+        return this.enter_binmode(tx)
+            .then(() => {
+                this.log('info', 'Running the ' + (long ? 'long' : 'short') + ' self-test');
+                return tx.query(long ? 0x11 : 0x10, 1, { timeout: timeout && Math.max(timeout, 10000) });
+            })
+            .then((data) => {
+                result = { long: long, errors: data[0], passed: data[0] === 0 };
+
+                // 0xff leaves the self-test, back to binmode
+                return tx.command(0xff, 0x01);
+            })
+            .then(() => {
+                this.mode = 'binmode';
+                this.emit('mode', 'binmode');
+                this.log('info', 'Self-test: ' + result.errors + ' errors');
+                this.emit('selftest', result);
+                return result;
+            });
+    }, tx);
+};
+
+/**
+ * Check the hardware: runs the self-test, then measures the ADC with the
+ * power supplies off and on.  With the long test's jumpers in place the ADC
+ * is wired to +3.3V, so it should read that with the supplies on.  Leaves
+ * the BusPirate in binmode with everything off.  Options:
+ *    long       run the long self-test (needs the jumpers)
+ *    tolerance  how far the 3.3V rail can be out, default 0.1 (10%)
+ * Resolves with a report:
+ *    { passed, selftest: {long, errors, passed},
+ *      adc: { off, on, expected, passed } }
+ * adc.expected and adc.passed are null without the long test, as the ADC
+ * could be wired to anything.
+ * @param  {Object} options
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+BusPirate.prototype.diagnostics = function(options, tx) {
+    options = options || {};
+
+    var tolerance = ('tolerance' in options) ? options.tolerance : 0.1;
+    var report = { passed: false, selftest: null, adc: { off: null, on: null, expected: null, passed: null } };
+
+    return this.transaction((tx) => {
+        return this.selftest({ long: options.long }, tx)
+            .then((result) => {
+                report.selftest = result;
+                return this.pins.write({ power: false, pullups: false }, tx);
+            })
+            .then(() => this.adc.read(tx))
+            .then((volts) => {
+                report.adc.off = volts;
+                return this.pins.write({ power: true }, tx);
+            })
+            // Let the supplies settle
+            .then(() => delay(50))
+            .then(() => this.adc.read(tx))
+            .then((volts) => {
+                report.adc.on = volts;
+                return this.pins.write({ power: false }, tx);
+            })
+            .then(() => {
+                if(options.long) {
+                    report.adc.expected = 3.3;
+                    report.adc.passed = Math.abs(report.adc.on - 3.3) <= 3.3 * tolerance;
+                }
+                report.passed = report.selftest.passed && report.adc.passed !== false;
+
+                this.log('info', 'Diagnostics ' + (report.passed ? 'passed' : 'FAILED'), report);
+                this.emit('diagnostics', report);
+                return report;
+            });
+    }, tx);
+};
+
+
+/***** Transactions *****/
+
+/**
+ * Run fn as one atomic transaction.  Transactions are queued and run one at
+ * a time, in order, so that concurrent callers can't steal each other's
+ * replies.  fn is called with a Transaction and should return a promise;
+ * the result of that promise is what transaction() resolves with.
+ *
+ * Operations that are built out of other operations pass their Transaction
+ * on, and it is then run straight away as part of the outer transaction.
+ * Otherwise tx can hold options for the new transaction:
+ *    timeout  ms to wait for each reply.  Defaults to this.timeout
+ *    signal   an AbortSignal that cancels the transaction
+ * @param  {Function} fn  function(tx) to run
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+BusPirate.prototype.transaction = function(fn, tx) {
+    if(tx instanceof Transaction) {
+        return Promise.resolve().then(() => fn(tx));
+    }
+
+    var options = tx || {};
+    var run = () => {
+        if(options.signal && options.signal.aborted) {
+            throw new errors.AbortError('Transaction aborted before it started');
+        }
+        return fn(new Transaction(this, options));
+    };
+    var p = this.queue.then(run, run);
+
+    // A failed transaction mustn't stop the ones queued after it
+    this.queue = p.catch(() => {});
+    return p;
+};
+
+/**
+ * Queue a single command: write data, then wait for the expected reply
+ * @param  {string|array|number} data  the data to write
+ * @param  {string|array|number} reply  the reply to wait for
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+BusPirate.prototype.command = function(data, reply, tx) {
+    return this.transaction((tx) => tx.command(data, reply), tx);
+};
+
+
+/**
+ * Transaction - the low level operations available while a transaction is
+ * running.  Only ever created by BusPirate.transaction.  The options given
+ * to the transaction apply to every wait, unless overridden per call.
+ */
+function Transaction(buspirate, options) {
+    this.bp = buspirate;
+    this.options = options || {};
+}
+
+Transaction.prototype.write = function(data) {
+    if(this.options.signal && this.options.signal.aborted) {
+        return Promise.reject(new errors.AbortError());
+    }
+    return this.bp.write(data);
+};
+
+Transaction.prototype.expect = function(data, options) {
+    return this.bp.expect(data, Object.assign({}, this.options, options));
+};
+
+Transaction.prototype.read = function(num, options) {
+    return this.bp.read(num, Object.assign({}, this.options, options));
+};
+
+/**
+ * Write data and wait for the expected reply.  We start listening before
+ * writing so that a quick reply can't be missed.
+ */
+Transaction.prototype.command = function(data, reply, options) {
+    return this.write_then(data, this.expect(reply, options));
+};
+
+/**
+ * Write data and resolve with the next num bytes received
+ */
+Transaction.prototype.query = function(data, num, options) {
+    return this.write_then(data, this.read(num, options));
+};
+
+/**
+ * Write data, then wait on p.  If the write fails, nothing is coming: stop
+ * waiting (we are the only transaction running) and report the write error.
+ */
+Transaction.prototype.write_then = function(data, p) {
+    return this.write(data).then(() => p, (err) => {
+        p.catch(() => {});
+        this.bp.fail_waiters(err);
+        throw err;
+    });
+};
+
+
 
 /***** Util *****/
 
 /*
- * Low level Serial write function
+ * Low level Serial write function.  It bypasses the transaction queue, so
+ * mode modules should use a Transaction (or command()) instead.
  * @param  {string|array|number} data  the data to write
  */
 BusPirate.prototype.write = function(data) {
     this.log('write', data);
 
-    if(Buffer.isBuffer(data)) {
-        console.log("REPLACE");
-        var tx = data;
-    } else if(data instanceof Array || 'string' === typeof data) {
+    if(Buffer.isBuffer(data) || data instanceof Array || 'string' === typeof data) {
         var tx = data;
     } else {
         var tx = [data];
     }
 
+    if(this.port.isOpen === false) {
+        return Promise.reject(new errors.PortClosedError('Cannot write, port is closed'));
+    }
+
+    // For anyone watching the traffic, eg a Recorder
+    this.emit('transmit', Buffer.isBuffer(tx) ? tx : new Buffer(tx));
+
     return new Promise((resolve, reject) => {
         this.port.write(tx, function(err) {
             if(err) {
                 reject(err);
             } else {
-                console.log("WROTE IT");
                 resolve(true);
             }
         });
@@ -271,63 +944,194 @@ BusPirate.prototype.write = function(data) {
 };
 
 /**
- * Wait for the specified data to arrive
- * @param  {string|array}   data
+ * Wait for the specified data to arrive.  Rejects with an
+ * UnexpectedResponseError if something else arrives instead, except in
+ * UART mode with RX echo on, where anything else is UART data: it is
+ * emitted as 'unclaimed' and the wait goes on.  (An RX byte that looks like
+ * the reply can't be told apart from it.)
+ *    ''      the next lump of data that arrives, whatever it is
+ *    RegExp  searched for in the incoming data, anything before it is skipped
+ * Options:
+ *    timeout  ms to wait.  Defaults to this.timeout, 0 waits forever
+ *    signal   an AbortSignal to stop waiting
+ * @param  {string|array|number|RegExp}   data
+ * @param  {Object} options  Optional - {timeout, signal}
  */
-BusPirate.prototype.expect = function(data) {
+BusPirate.prototype.expect = function(data, options) {
 
     // Convert data into a form that is easily compared with a Buffer
-    if(data instanceof Array || 'string' === typeof data) {
+    if(data instanceof RegExp) {
+        // Kept as is
+    } else if(data instanceof Array || 'string' === typeof data) {
         data = new Buffer(data);
     } else {
         data = new Buffer([data]);
     }
 
-     this.log('listener', 'Added waiter for', format(data));
+    this.log('listener', 'Added waiter for', format(data));
 
-    // Add the waiter function to the start of the waiters array.  It is
-    // iterated over backwards.  This way, the first added is the first called
-    return new Promise((resolve, reject) => {
-        this.waiters.unshift((data_received, idx, arr) => {
-             this.log('listener', 'Want: ' + format(data) + ' got: ' + format(data_received));
+    return this.wait_for(data, options, (data_received) => {
+        this.log('listener', 'Want: ' + format(data) + ' got: ' + format(data_received));
 
-            if(data instanceof RegExp) {
-                var m = data.exec(data_received.toString('utf-8'));
+        if(data instanceof RegExp) {
+            // binary (latin1) keeps string offsets the same as byte offsets
+            var m = data.exec(data_received.toString('binary'));
 
-                if(m) {
-                    this.log('listener found', m[0]);
-                    arr.splice(idx, 1);
-                    resolve(m[0]);
-                    return data_received.slice(m[0].length);
-                }
-            } else {
+            if(m) {
+                this.log('listener found', m[0]);
+                return { result: m[0], used: m.index + m[0].length };
+            }
+            return null;
+        }
 
-                if(data_received.length < data.length) {
-                    return data_received;
-                }
+        // wait for '' => return the next lump of data that arrives
+        if(data.length === 0) {
+            return data_received.length ? { result: data_received, used: data_received.length } : null;
+        }
 
-                // wait for '' => return the next lump of data that arrives
-                if(data.length === 0) {
-                    data = data_received;
-                } else {
-                    for(var i = data.length - 1; i >= 0; i--) {
-                        if(data[i] != data_received[i]) {
-                            return data_received;
-                        }
-                    }
-                }
+        // UART data can arrive ahead of the reply.  Only a single reply
+        // byte can be picked out of it: a longer reply is matched strictly,
+        // so stray data there is an error instead of a silent desync
+        if(data.length == 1 && this.rx_interleaved()) {
+            return match_interleaved(data, data_received, (rx) => this.emit('unclaimed', rx));
+        }
+
+        // Wrong bytes are an error as soon as they arrive
+        for(var i = 0; i < data.length && i < data_received.length; i++) {
+            if(data[i] != data_received[i]) {
+                throw new errors.UnexpectedResponseError(
+                    'Expected ' + format(data) + ' but got ' + format(data_received),
+                    data, data_received);
+            }
+        }
+
+        if(data_received.length < data.length) {
+            return null;
+        }
+
+        // If matches, this waiter is removed along with the data it consumed
+        this.log('listener found', data);
+        return { result: data, used: data.length };
+    });
+};
+
+/**
+ * Can UART data arrive mixed in with command replies?
+ */
+BusPirate.prototype.rx_interleaved = function() {
+    return this.mode == 'uart' && this.uart.echo_rx_on;
+};
+
+/**
+ * Wait for num bytes to arrive, whatever their value
+ * @param  {number} num  number of bytes to wait for
+ * @param  {Object} options  Optional - {timeout, signal}, as for expect()
+ */
+BusPirate.prototype.read = function(num, options) {
+    this.log('listener', 'Added reader for ' + num + ' bytes');
+
+    return this.wait_for(num + ' bytes', options, (data_received) => {
+        if(data_received.length < num) {
+            return null;
+        }
+        return { result: data_received.slice(0, num), used: num };
+    });
+};
+
+/**
+ * Add a waiter to the start of the waiters array.  It is iterated over
+ * backwards.  This way, the first added is the first called.
+ * match(data) returns null to keep waiting, { keep } to keep waiting with
+ * only the keep bytes, or { result, used } once it has what it wants; it
+ * throws to fail.  On any failure the receive buffer is
+ * dropped, since we no longer know where we are in the protocol.
+ * @param  {*} expected  what's being waited for, for error messages
+ * @param  {Object} options  {timeout, signal}
+ * @param  {Function} match
+ */
+BusPirate.prototype.wait_for = function(expected, options, match) {
+    options = options || {};
 
-                // If matches, remove this waiter and the data it consumed
-                this.log('listener found', data);
-                arr.splice(idx, 1);
-                resolve(data);
+    var timeout = ('timeout' in options) ? options.timeout : this.timeout;
+    var signal = options.signal;
 
-                return data_received.slice(data.length);
+    return new Promise((resolve, reject) => {
+        var tid = null;
+        var onabort = () => waiter.fail(new errors.AbortError());
+
+        var finish = () => {
+            var idx = this.waiters.indexOf(waiter);
+            if(idx >= 0) {
+                this.waiters.splice(idx, 1);
             }
-        });
+            clearTimeout(tid);
+            if(signal) {
+                signal.removeEventListener('abort', onabort);
+            }
+        };
+
+        var waiter = (data_received) => {
+            try {
+                var m = match(data_received);
+            } catch(err) {
+                finish();
+                reject(err);
+                return new Buffer(0);
+            }
+
+            if(!m) {
+                return data_received;
+            }
+
+            // Not there yet, but some of the data wasn't for us
+            if(m.keep) {
+                return m.keep;
+            }
+
+            finish();
+            resolve(m.result);
+            return data_received.slice(m.used);
+        };
+
+        waiter.fail = (err) => {
+            finish();
+            this.data_buffer = new Buffer(0);
+            reject(err);
+        };
+
+        if(signal && signal.aborted) {
+            return reject(new errors.AbortError());
+        }
+
+        this.waiters.unshift(waiter);
+
+        if(timeout) {
+            tid = setTimeout(() => {
+                waiter.fail(new errors.TimeoutError(
+                    'Timed out after ' + timeout + 'ms waiting for ' + format(expected),
+                    expected, this.data_buffer));
+            }, timeout);
+        }
+
+        if(signal) {
+            signal.addEventListener('abort', onabort);
+        }
+
+        // Data left over from an earlier reply that came in the same lump
+        if(this.waiters.length == 1 && this.data_buffer.length) {
+            this.data_buffer = waiter(this.data_buffer);
+        }
     });
 };
 
+/**
+ * Reject everything that is waiting for data with err
+ */
+BusPirate.prototype.fail_waiters = function(err) {
+    this.waiters.slice().forEach((waiter) => waiter.fail(err));
+    this.data_buffer = new Buffer(0);
+};
+
 
 /*
  * Debug logger - log(type, message, ...)
@@ -340,6 +1144,77 @@ BusPirate.prototype.log = function() {
     }
 };
 
+// The terminal's answer to 'i', up to the next prompt (eg HiZ>)
+var INFO_BANNER = /Bus Pirate[\s\S]*?\n[^\r\n>]*>/;
+
+// A fresh terminal prompt, with nothing after it yet
+var PROMPT_END = /\n[^\r\n>]*>$/;
+
+/**
+ * Pull the versions out of the terminal's info banner, eg
+ *    Bus Pirate v3.b
+ *    Firmware v5.10 (r559)  Bootloader v4.4
+ *    DEVID:0x0447 REVID:0x3046 (24FJ64GA002 B8)
+ * gives
+ *    { hardware: '3.b', firmware: '5.10', revision: 559, bootloader: '4.4',
+ *      devid: 0x0447, revid: 0x3046, chip: '24FJ64GA002 B8', banner }
+ * Anything missing from the banner is null.
+ * @param  {string} banner
+ * @return {Object}
+ */
+function parse_info(banner) {
+    var match = (re) => re.exec(banner) || [];
+    var hardware = match(/Bus Pirate v?([\w.]+)/i);
+    var firmware = match(/Firmware v([\d.]+\w*)(?:[\s(]*r(\d+))?/i);
+    var bootloader = match(/Bootloader v([\d.]+)/i);
+    var ids = match(/DEVID:(0x[0-9a-f]+)\s+REVID:(0x[0-9a-f]+)(?:\s+\(([^)]*)\))?/i);
+
+    return {
+        hardware: hardware[1] || null,
+        firmware: firmware[1] || null,
+        revision: firmware[2] ? parseInt(firmware[2], 10) : null,
+        bootloader: bootloader[1] || null,
+        devid: ids[1] ? parseInt(ids[1], 16) : null,
+        revid: ids[2] ? parseInt(ids[2], 16) : null,
+        chip: ids[3] || null,
+        banner: banner.trim()
+    };
+}
+
+BusPirate.parse_info = parse_info;
+BusPirate.INFO_BANNER = INFO_BANNER;
+
+/**
+ * Match an exact reply that may have other data mixed in with it.  The
+ * reply bytes are taken in order, and everything else before the end of
+ * the reply is given to other(Buffer).
+ * @param  {Buffer} want
+ * @param  {Buffer} received
+ * @param  {Function} other
+ * @return {Object}  as for wait_for() match functions
+ */
+function match_interleaved(want, received, other) {
+    var reply = [];
+    var rest = [];
+
+    for(var i = 0; i < received.length && reply.length < want.length; i++) {
+        if(received[i] === want[reply.length]) {
+            reply.push(received[i]);
+        } else {
+            rest.push(received[i]);
+        }
+    }
+
+    if(rest.length) {
+        other(new Buffer(rest));
+    }
+
+    if(reply.length < want.length) {
+        return { keep: new Buffer(reply) };
+    }
+    return { result: want, used: i };
+}
+
 /**
  * Formatting for the logger items.  eg numbers are shown in hex
  */
@@ -352,9 +1227,12 @@ function format(item) {
         var clean = dirty.replace(/[\x00-\x1F\x7F-\x9F]/g, ".");
         return clean + '[' + item.toString('hex').blue + ']';
     }
-    else if (typeof item === 'object') {
+    else if (item instanceof Array) {
         return item.map(format);
     }
+    else if (item instanceof RegExp) {
+        return item.toString();
+    }
     else if((typeof item === 'string') || (item instanceof String)) {
         // allow 0x1B thru for ANSI colour escape sequences
         var clean = item.replace(/[\x00-\x1A\x1C-\x1F\x7F-\x9F]/g, ".");
@@ -0,0 +1,260 @@
+/**
+ * Captures UART traffic and sniffed SPI transactions, and exports them for
+ * analysis tools:
+ *    VCD   Value Change Dump, for timing views (PulseView, GTKWave)
+ *    PCAP  for byte level inspection in Wireshark, with link type
+ *          DLT_USER0 (147)
+ *
+ *    var capture = new BusPirate.Capture(pirate);
+ *    pirate.spi.sniff('low');
+ *    ...
+ *    capture.stop();
+ *    capture.save_pcap('spi.pcap');
+ *
+ * Every record is { time, bus, direction, data }:
+ *    time       ms since the epoch
+ *    bus        'spi' or 'uart'
+ *    direction  'mosi' / 'miso' for SPI, 'tx' / 'rx' for UART
+ *    data       Buffer
+ * SPI records also have cs (false for traffic outside a CS frame), and
+ * start and end: when CS went active and inactive.
+ *
+ * Each PCAP packet starts with two bytes before the data:
+ *    bus        0x01 SPI, 0x02 UART
+ *    direction  0x00 MOSI or TX, 0x01 MISO or RX
+ */
+
+var fs = require('fs');
+
+module.exports = Capture;
+
+
+// PCAP link type for our packets
+var DLT_USER0 = 147;
+
+var PCAP_BUS = { spi: 0x01, uart: 0x02 };
+var PCAP_DIRECTION = { mosi: 0x00, tx: 0x00, miso: 0x01, rx: 0x01 };
+
+
+/**
+ * Capture constructor.  Starts capturing straight away.
+ * @param {BusPirate} buspirate
+ */
+function Capture(buspirate) {
+    this.bp = buspirate;
+    this.records = [];
+
+    this.listeners = {
+        uart: {
+            data: (data) => this.add('uart', 'rx', data, Date.now()),
+            transmit: (data) => this.add('uart', 'tx', data, Date.now())
+        },
+        spi: {
+            transaction: (t) => this.add_transaction(t)
+        }
+    };
+
+    for(var mod in this.listeners) {
+        for(var ev in this.listeners[mod]) {
+            this.bp[mod].on(ev, this.listeners[mod][ev]);
+        }
+    }
+}
+
+
+/**
+ * Stop capturing.  The records are kept.
+ */
+Capture.prototype.stop = function() {
+    for(var mod in this.listeners) {
+        for(var ev in this.listeners[mod]) {
+            this.bp[mod].removeListener(ev, this.listeners[mod][ev]);
+        }
+    }
+};
+
+Capture.prototype.add = function(bus, direction, data, time) {
+    this.records.push({ time: time, bus: bus, direction: direction, data: data });
+};
+
+/**
+ * A sniffed SPI transaction becomes a MOSI and a MISO record
+ */
+Capture.prototype.add_transaction = function(t) {
+    var time = t.timestamps.length ? t.timestamps[0] : t.start;
+
+    ['mosi', 'miso'].forEach((direction) => {
+        this.records.push({
+            time: time,
+            bus: 'spi',
+            direction: direction,
+            data: t[direction],
+            cs: t.cs,
+            start: t.start,
+            end: t.end
+        });
+    });
+};
+
+
+/*****[ Export ]***********************************************************/
+
+/**
+ * The records as a VCD file (a string), with a byte wide signal for each
+ * bus direction and one for SPI CS (1 = active)
+ */
+Capture.prototype.to_vcd = function() {
+    return Capture.vcd(this.records);
+};
+
+/**
+ * The records as a PCAP file (a Buffer)
+ */
+Capture.prototype.to_pcap = function() {
+    return Capture.pcap(this.records);
+};
+
+Capture.prototype.save_vcd = function(path) {
+    return write_file(path, this.to_vcd());
+};
+
+Capture.prototype.save_pcap = function(path) {
+    return write_file(path, this.to_pcap());
+};
+
+
+/**
+ * Build a VCD file from records.  Times are in microseconds from the first
+ * record.  Bytes that arrived together share a timestamp, so they are
+ * spread out at least 1us apart to keep them visible.
+ * @param  {Array} records
+ * @return {string}
+ */
+Capture.vcd = function(records) {
+    var signals = [
+        ['spi', 'mosi', '!', 8],
+        ['spi', 'miso', '"', 8],
+        ['spi', 'cs',   '#', 1],
+        ['uart', 'tx',  '$', 8],
+        ['uart', 'rx',  '%', 8]
+    ];
+    var ids = {};
+    var changes = [];
+    var busy = {};
+    var t0 = records.reduce((min, r) => Math.min(min, r.time), Infinity);
+    var us = (ms) => Math.round((ms - t0) * 1000);
+
+    if(!records.length) {
+        t0 = Date.now();
+    }
+
+    var out = [
+        '$date ' + new Date(t0).toUTCString() + ' $end',
+        '$version node-buspirate $end',
+        '$timescale 1 us $end'
+    ];
+
+    signals.forEach((s) => {
+        ids[s[0] + '.' + s[1]] = s[2];
+    });
+
+    ['spi', 'uart'].forEach((bus) => {
+        out.push('$scope module ' + bus + ' $end');
+        signals.filter((s) => s[0] == bus).forEach((s) => {
+            out.push('$var wire ' + s[3] + ' ' + s[2] + ' ' + s[1] + ' $end');
+        });
+        out.push('$upscope $end');
+    });
+    out.push('$enddefinitions $end');
+
+    // Work out every value change, then put them in time order.  A signal
+    // can't change twice at once, so later bytes are pushed back.
+    by_time(records).forEach((r) => {
+        var id = ids[r.bus + '.' + r.direction];
+        var t = Math.max(us(r.time), (id in busy) ? busy[id] + 1 : 0);
+
+        if(r.bus == 'spi' && r.direction == 'mosi' && r.cs) {
+            changes.push({ t: Math.min(us(r.start), t), id: ids['spi.cs'], value: '1' });
+            if(r.end !== null && r.end !== undefined) {
+                changes.push({ t: Math.max(us(r.end), t + r.data.length), id: ids['spi.cs'], value: '0' });
+            }
+        }
+
+        for(var i = 0; i < r.data.length; i++) {
+            changes.push({ t: t + i, id: id, value: 'b' + r.data[i].toString(2) + ' ' });
+            busy[id] = t + i;
+        }
+    });
+
+    changes.sort((a, b) => a.t - b.t);
+
+    out.push('#0');
+    out.push('$dumpvars');
+    signals.forEach((s) => {
+        out.push(s[3] == 1 ? '0' + s[2] : 'bxxxxxxxx ' + s[2]);
+    });
+    out.push('$end');
+
+    var last = 0;
+    changes.forEach((c) => {
+        if(c.t != last) {
+            out.push('#' + c.t);
+            last = c.t;
+        }
+        out.push(c.value + c.id);
+    });
+
+    return out.join('\n') + '\n';
+};
+
+/**
+ * Build a PCAP file from records, one packet per record, in time order
+ * @param  {Array} records
+ * @return {Buffer}
+ */
+Capture.pcap = function(records) {
+    var header = new Buffer(24);
+    var packets = [header];
+
+    header.writeUInt32LE(0xa1b2c3d4, 0);    // magic, microsecond timestamps
+    header.writeUInt16LE(2, 4);             // version 2.4
+    header.writeUInt16LE(4, 6);
+    header.writeInt32LE(0, 8);              // GMT
+    header.writeUInt32LE(0, 12);            // sigfigs
+    header.writeUInt32LE(65535, 16);        // snaplen
+    header.writeUInt32LE(DLT_USER0, 20);
+
+    by_time(records).forEach((r) => {
+        var rec = new Buffer(16 + 2);
+        var len = r.data.length + 2;
+        var usec = Math.round(r.time * 1000);
+
+        rec.writeUInt32LE(Math.floor(usec / 1000000), 0);
+        rec.writeUInt32LE(usec % 1000000, 4);
+        rec.writeUInt32LE(len, 8);
+        rec.writeUInt32LE(len, 12);
+        rec[16] = PCAP_BUS[r.bus];
+        rec[17] = PCAP_DIRECTION[r.direction];
+
+        packets.push(rec, r.data);
+    });
+
+    return Buffer.concat(packets);
+};
+
+
+/**
+ * Records are added as transfers complete, but stamped with when they
+ * started, so overlapping traffic needs sorting
+ */
+function by_time(records) {
+    return records.slice().sort((a, b) => a.time - b.time);
+}
+
+function write_file(path, data) {
+    return new Promise((resolve, reject) => {
+        fs.writeFile(path, data, (err) => err ? reject(err) : resolve(path));
+    });
+}
+
+Capture.DLT_USER0 = DLT_USER0;
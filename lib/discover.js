@@ -0,0 +1,138 @@
+/**
+ * Finding Bus Pirates attached to this machine, so scripts don't have to
+ * hard-code a port:
+ *
+ *    BusPirate.discover().then((found) => {
+ *        var pirate = new BusPirate(found[0].path);
+ *    });
+ *
+ * Each candidate port is opened and asked for its info banner ('i') at the
+ * terminal, which has no effect on a Bus Pirate and is harmless text to
+ * most other devices.  A Bus Pirate already in a binary mode or a UART
+ * bridge won't answer, and isn't found.
+ */
+
+var Transport = require('./transport');
+var BusPirate = require('./buspirate');
+
+module.exports = discover;
+
+
+// USB vendor IDs of the serial adapters on Bus Pirates: FTDI (v3) and
+// Microchip (v4)
+var VENDOR_IDS = [0x0403, 0x04d8];
+
+
+/**
+ * Probe the serial ports for Bus Pirates, one at a time.  Resolves with
+ *    [{ path, info, port }]
+ * where info is as for pirate.info and port is what the OS reported about
+ * the port (manufacturer, serialNumber, vendorId...).  Options:
+ *    all      probe every serial port, not just the USB adapters Bus
+ *             Pirates use.  Default false
+ *    timeout  ms to wait for each port to answer.  Default 1000
+ *    baud     Default 115200
+ * @param  {Object} options
+ */
+function discover(options) {
+    options = options || {};
+
+    var found = [];
+
+    return Transport.SerialTransport.list()
+        .then((ports) => {
+            var candidates = ports.filter((port) => options.all || is_candidate(port));
+
+            return candidates.reduce((p, port) => {
+                return p
+                    .then(() => open(port.path, options.baud))
+                    .then((transport) => probe(transport, options.timeout), () => null)
+                    .then((info) => {
+                        if(info) {
+                            found.push({ path: port.path, info: info, port: port });
+                        }
+                    });
+            }, Promise.resolve());
+        })
+        .then(() => found);
+}
+
+/**
+ * Could this port be a Bus Pirate?
+ */
+function is_candidate(port) {
+    return VENDOR_IDS.indexOf(parseInt(port.vendorId, 16)) >= 0;
+}
+
+/**
+ * Open a serial port.  Rejects if it can't be opened (eg it's in use).
+ */
+function open(path, baud) {
+    return new Promise((resolve, reject) => {
+        var transport = new Transport.SerialTransport(path, baud || 115200);
+
+        transport.once('open', () => {
+            // Keep errors from being thrown until probe() is listening
+            transport.removeListener('error', reject);
+            transport.on('error', ignore);
+            resolve(transport);
+        });
+        transport.once('error', reject);
+    });
+}
+
+/**
+ * Ask whatever is on transport for its info banner, then close it.
+ * Resolves with the parsed info, or null if it isn't a Bus Pirate.
+ * @param  {Transport} transport  an open transport
+ * @param  {number} timeout  ms to wait.  Default 1000
+ */
+function probe(transport, timeout) {
+    return new Promise((resolve) => {
+        var received = '';
+        var finished = false;
+        var tid;
+
+        var done = (info) => {
+            if(finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(tid);
+            transport.removeListener('data', ondata);
+            transport.removeListener('error', onerror);
+
+            // Closing an unplugged port often errors too: that mustn't
+            // become an uncaught exception
+            transport.on('error', ignore);
+            transport.close(() => {
+                transport.removeListener('error', ignore);
+                resolve(info);
+            });
+        };
+
+        var ondata = (data) => {
+            received += data.toString('binary');
+
+            var m = BusPirate.INFO_BANNER.exec(received);
+            if(m) {
+                done(BusPirate.parse_info(m[0]));
+            }
+        };
+
+        var onerror = () => done(null);
+
+        transport.on('data', ondata);
+        transport.on('error', onerror);
+        transport.removeListener('error', ignore);
+        tid = setTimeout(() => done(null), timeout || 1000);
+
+        // A return first, in case something is half typed
+        transport.write(new Buffer('\ri\r'), (err) => err && done(null));
+    });
+}
+
+// For errors nobody else is listening for
+function ignore() {}
+
+discover.probe = probe;
@@ -0,0 +1,688 @@
+/**
+ * A software Bus Pirate that speaks the binary protocol, for testing without
+ * hardware.  It is a Transport, so it can be handed straight to the
+ * BusPirate constructor in place of a device path:
+ *
+ *    var emu = new Emulator({ spi: (mosi) => mosi ^ 0xff });
+ *    var pirate = new BusPirate(emu);
+ *
+ * The 'attached device' is scripted with the hooks passed in the options:
+ *    spi(byte)     called for every byte clocked out, returns the MISO byte
+ *    uart(data)    called with every block the BusPirate transmits
+ *    i2c           object with optional start(), stop(), write(byte) -> ack
+ *                  and read() -> byte methods
+ *    onewire       object with optional reset(), write(byte), read() -> byte
+ *                  methods, and roms: the ROM IDs the search macro finds
+ *    adc           function() -> volts on the ADC probe
+ *    frequency     function() -> Hz of the signal on AUX
+ *    selftest      function(long) -> number of self-test errors
+ *    pins          function(name) -> level, read for pins set as inputs in
+ *                  binmode
+ *    forced        function(name) -> level something else on the bus holds
+ *                  the pin at, even as an output, or undefined if nothing
+ *    rawwire       object with optional write(byte) -> byte, read() -> byte,
+ *                  read_bit() -> bit, peek() -> bit, bits(byte, num),
+ *                  ticks(num) and pin(name, high) methods
+ * Other options:
+ *    firmware          the firmware version it reports.  Default '5.10'
+ *    write_then_read   false to act like old firmware without the SPI
+ *                      write-then-read command
+ * Data the device sends back over UART is injected with .uart_receive(), and
+ * SPI traffic for the sniffer to see with .spi_bus().
+ *
+ * The user terminal understands #, i, v, W, w and the m menu (which picks
+ * a mode straight away, without asking for its settings).
+ */
+
+var util = require('util');
+
+var Transport = require('./transport');
+
+module.exports = Emulator;
+
+
+function banner(firmware) {
+    return 'Bus Pirate v3.b\r\n' +
+        'Firmware v' + firmware + ' (r559)  Bootloader v4.4\r\n' +
+        'DEVID:0x0447 REVID:0x3046 (24FJ64GA002 B8)\r\n' +
+        'http://dangerousprototypes.com\r\n';
+}
+
+// Terminal mode menu: the prompt of each choice
+var MENU_MODES = ['HiZ', '1-WIRE', 'UART', 'I2C', 'SPI', '2WIRE', '3WIRE', 'LCD', 'DIO'];
+
+// Binary modes reachable from BBIO1: mode byte -> [name, version string]
+var MODES = {
+    0x01: ['spi', 'SPI1'],
+    0x02: ['i2c', 'I2C1'],
+    0x03: ['uart', 'ART1'],
+    0x04: ['onewire', '1W01'],
+    0x05: ['rawwire', 'RAW1']
+};
+
+
+/**
+ * Emulator constructor.  'open' is emitted on the next tick, like a port.
+ * @param {Object} options  Device hooks, see above
+ */
+function Emulator(options) {
+    Transport.call(this);
+    options = options || {};
+
+    this.path = 'emulator';
+
+    // Attached device hooks
+    this.spi_device = options.spi || function(byte) { return byte; };
+    this.uart_device = options.uart || function() {};
+    this.i2c_device = options.i2c || {};
+    this.onewire_device = options.onewire || {};
+    this.rawwire_device = options.rawwire || {};
+    this.pin_inputs = options.pins || function() { return false; };
+    this.pin_forced = options.forced || function() { return undefined; };
+    this.adc_probe = options.adc || function() { return 0; };
+    this.aux_frequency = options.frequency || function() { return 0; };
+    this.selftest_errors = options.selftest || function() { return 0; };
+
+    this.write_then_read = (options.write_then_read !== false);
+    this.banner = banner(options.firmware || '5.10');
+
+    // Bus Pirate state
+    this.mode = 'terminal';
+    this.zeros = 0;
+    this.line = '';
+    this.prompt = 'HiZ';
+    this.menu = false;
+    this.power = false;
+    this.echo_rx = false;
+    this.sniffing = false;
+    this.pin_dirs = 0x1f;
+    this.pin_levels = 0x00;
+    this.adc_timer = null;
+    this.args = null;
+    this.outbox = [];
+
+    process.nextTick(() => this.emit('open'));
+}
+
+util.inherits(Emulator, Transport);
+
+
+/*****[ Transport interface ]**********************************************/
+
+/**
+ * Receive data from the host.  Replies are sent once the callback has run,
+ * so whoever wrote has a chance to start listening for them.
+ * @param  {string|Array|Buffer} data
+ * @param  {Function} callback
+ */
+Emulator.prototype.write = function(data, callback) {
+    var buf = Buffer.isBuffer(data) ? data : new Buffer(data);
+
+    if(!this.isOpen) {
+        var err = new Error('Emulator is not open');
+        process.nextTick(() => callback && callback(err));
+        return false;
+    }
+
+    process.nextTick(() => callback && callback(null));
+
+    setImmediate(() => {
+        for(var i = 0; i < buf.length; i++) {
+            this.process(buf[i]);
+        }
+        this.send();
+    });
+
+    return true;
+};
+
+Emulator.prototype.close = function(callback) {
+    clearInterval(this.adc_timer);
+    this.isOpen = false;
+    process.nextTick(() => {
+        this.emit('close');
+        if(callback) callback(null);
+    });
+};
+
+
+/*****[ Attached device ]**************************************************/
+
+/**
+ * Inject data as if the attached device sent it over UART.  The BusPirate
+ * only passes it on when RX echo is on, or in bridge mode.
+ * @param  {string|Array|Buffer} data
+ */
+Emulator.prototype.uart_receive = function(data) {
+    if(this.mode == 'uart_bridge' || (this.mode == 'uart' && this.echo_rx)) {
+        this.reply(data);
+        this.send();
+    }
+};
+
+
+/**
+ * Put a transfer on the SPI bus, as if another master made it.  The SPI
+ * sniffer reports it if it is running.
+ * @param  {Array|Buffer} mosi
+ * @param  {Array|Buffer} miso
+ * @param  {bool} cs  Optional - false if CS isn't asserted for it
+ */
+Emulator.prototype.spi_bus = function(mosi, miso, cs) {
+    var out = [];
+
+    if(this.mode != 'spi' || !this.sniffing) {
+        return;
+    }
+
+    for(var i = 0; i < mosi.length; i++) {
+        out.push(0x5C, mosi[i], miso[i]);
+    }
+    if(cs !== false) {
+        out = [0x5B].concat(out, [0x5D]);
+    }
+
+    this.reply(out);
+    this.send();
+};
+
+
+/*****[ Protocol ]*********************************************************/
+
+/**
+ * Queue up reply data, to be sent in one lump
+ */
+Emulator.prototype.reply = function(data) {
+    if('number' === typeof data) {
+        data = [data];
+    }
+    this.outbox.push(Buffer.isBuffer(data) ? data : new Buffer(data));
+};
+
+Emulator.prototype.send = function() {
+    if(this.outbox.length && this.isOpen) {
+        var data = Buffer.concat(this.outbox);
+        this.outbox = [];
+        this.emit('data', data);
+    }
+};
+
+/**
+ * Handle a single byte received from the host
+ */
+Emulator.prototype.process = function(byte) {
+    // Any byte stops continuous ADC measurement, and is used up doing so
+    if(this.adc_timer) {
+        clearInterval(this.adc_timer);
+        this.adc_timer = null;
+        return;
+    }
+
+    // Multi-byte commands collect their arguments first
+    if(this.args) {
+        var args = this.args;
+        args.fn(byte);
+        if(--args.left === 0 && this.args === args) {
+            this.args = null;
+            if(args.done) args.done();
+        }
+        return;
+    }
+
+    switch(this.mode) {
+        case 'terminal':    return this.terminal(byte);
+        case 'binmode':     return this.binmode(byte);
+        case 'spi':         return this.spi(byte);
+        case 'i2c':         return this.i2c(byte);
+        case 'uart':        return this.uart(byte);
+        case 'onewire':     return this.onewire(byte);
+        case 'rawwire':     return this.rawwire(byte);
+        case 'selftest':    return this.selftest(byte);
+        case 'uart_bridge': return this.uart_device(new Buffer([byte]));
+    }
+};
+
+/**
+ * Change mode, announcing it for anyone watching the emulator
+ */
+Emulator.prototype.set_mode = function(mode) {
+    // Entering binmode makes every pin an input again
+    if(mode == 'binmode') {
+        this.pin_dirs = 0x1f;
+        this.pin_levels = 0x00;
+    }
+    this.mode = mode;
+    this.emit('mode', mode);
+};
+
+/**
+ * Collect num argument bytes for the current command
+ */
+Emulator.prototype.collect = function(num, fn, done) {
+    this.args = { left: num, fn: fn, done: done };
+};
+
+/**
+ * User terminal.  Twenty 0x00 bytes enter binary mode, anything else is
+ * treated as a terminal command line.
+ */
+Emulator.prototype.terminal = function(byte) {
+    if(byte === 0x00) {
+        if(++this.zeros >= 20) {
+            this.zeros = 0;
+            this.line = '';
+            this.set_mode('binmode');
+            this.reply('BBIO1');
+        }
+        return;
+    }
+    this.zeros = 0;
+
+    if(byte != 0x0d && byte != 0x0a) {
+        this.line += String.fromCharCode(byte);
+        this.reply(byte);
+        return;
+    }
+
+    var cmd = this.line.trim();
+    this.line = '';
+
+    if(this.menu) {
+        this.menu = false;
+        if(MENU_MODES[cmd - 1]) {
+            this.prompt = MENU_MODES[cmd - 1];
+            this.reply('\r\nReady\r\n' + this.prompt + '>');
+        } else {
+            this.reply('\r\n' + this.prompt + '>');
+        }
+    } else if(cmd === '') {
+        this.reply('\r\n' + this.prompt + '>');
+    } else if(cmd == '#') {
+        this.reset_terminal();
+        this.reply('\r\nRESET\r\n\r\n' + this.banner + this.prompt + '>');
+    } else if(cmd == 'i') {
+        this.reply('\r\n' + this.banner + this.prompt + '>');
+    } else if(cmd == 'm') {
+        this.menu = true;
+        this.reply('\r\n' + MENU_MODES.map((name, i) => (i + 1) + '. ' + name.toUpperCase()).join('\r\n') +
+            '\r\nx. exit(without change)\r\n\r\n(1)>');
+    } else if(cmd == 'W' || cmd == 'w') {
+        this.power = (cmd == 'W');
+        this.reply('\r\nPOWER SUPPLIES ' + (this.power ? 'ON' : 'OFF') + '\r\n' + this.prompt + '>');
+    } else if(cmd == 'v') {
+        this.reply('\r\n' + this.voltage_report() + this.prompt + '>');
+    } else {
+        this.reply('\r\nSyntax error, type ? for help\r\n' + this.prompt + '>');
+    }
+};
+
+Emulator.prototype.reset_terminal = function() {
+    this.prompt = 'HiZ';
+    this.menu = false;
+    this.power = false;
+};
+
+/**
+ * The terminal's 'v' report.  Everything but the supplies (and the ADC
+ * hook) reads as a low input.
+ */
+Emulator.prototype.voltage_report = function() {
+    var volts = (v) => v.toFixed(2) + 'V';
+    var row = (cells) => cells.map((c) => (c + '        ').slice(0, 8)).join('').trim() + '\r\n';
+
+    return 'Pinstates:\r\n' +
+        row(['1.(BR)', '2.(RD)', '3.(OR)', '4.(YW)', '5.(GN)', '6.(BL)', '7.(PU)', '8.(GR)', '9.(WT)', '0.(Blk)']) +
+        row(['GND', '3.3V', '5.0V', 'ADC', 'VPU', 'AUX', 'CLK', 'MOSI', 'CS', 'MISO']) +
+        row(['P', 'P', 'P', 'I', 'I', 'I', 'I', 'I', 'I', 'I']) +
+        row(['GND', volts(this.power ? 3.3 : 0), volts(this.power ? 5 : 0), volts(this.adc_probe()), volts(0),
+            'L', 'L', 'L', 'L', 'L']);
+};
+
+/**
+ * Raw bitbang mode (BBIO1)
+ */
+Emulator.prototype.binmode = function(byte) {
+    if(byte === 0x00) {
+        this.reply('BBIO1');
+    } else if(MODES[byte]) {
+        this.set_mode(MODES[byte][0]);
+        this.reply(MODES[byte][1]);
+    } else if(byte == 0x0f) {
+        this.set_mode('terminal');
+        this.reset_terminal();
+        this.reply([0x01]);
+        this.reply(this.banner + this.prompt + '>');
+    } else if(byte == 0x14) {
+        this.reply(this.adc_sample());
+    } else if(byte == 0x15) {
+        this.adc_timer = setInterval(() => {
+            this.reply(this.adc_sample());
+            this.send();
+        }, 5);
+    } else if(byte == 0x10 || byte == 0x11) {
+        this.set_mode('selftest');
+        this.reply(this.selftest_errors(byte == 0x11) & 0xff);
+    } else if(byte == 0x12) {
+        // PWM: prescaler, duty cycle and period registers
+        var regs = [];
+        this.collect(5, (b) => regs.push(b), () => {
+            this.emit('pwm', {
+                prescaler: regs[0],
+                duty: (regs[1] << 8) | regs[2],
+                period: (regs[3] << 8) | regs[4]
+            });
+            this.reply(0x01);
+        });
+    } else if(byte == 0x13) {
+        this.emit('pwm', null);
+        this.reply(0x01);
+    } else if(byte == 0x16) {
+        var hz = this.aux_frequency() >>> 0;
+        this.reply([hz >>> 24, (hz >> 16) & 0xff, (hz >> 8) & 0xff, hz & 0xff]);
+    } else if((byte & 0xe0) == 0x40) {
+        // Pin directions, 1 = input.  Answered with a read of the pins
+        // under the command bits, like the firmware
+        this.pin_dirs = byte & 0x1f;
+        this.reply((byte & 0xe0) | (this.pin_state() & 0x1f));
+    } else if(byte & 0x80) {
+        // Pin levels and peripherals.  Answered with the pin state
+        this.pin_levels = byte & 0x7f;
+        this.emit('peripherals', byte);
+        this.emit('pins', this.pin_levels);
+        this.reply(this.pin_state());
+    } else {
+        this.reply(0x00);
+    }
+};
+
+/**
+ * The binmode pin state: outputs read back as written, inputs come from
+ * the pins hook, unless the forced hook says otherwise
+ */
+Emulator.prototype.pin_state = function() {
+    var names = { 0x10: 'aux', 0x08: 'mosi', 0x04: 'clk', 0x02: 'miso', 0x01: 'cs' };
+    var state = 0x80 | (this.pin_levels & 0x60);
+
+    for(var bit in names) {
+        var forced = this.pin_forced(names[bit]);
+
+        if(forced !== undefined) {
+            state |= forced ? bit : 0;
+        } else if(this.pin_dirs & bit) {
+            state |= this.pin_inputs(names[bit]) ? bit : 0;
+        } else {
+            state |= this.pin_levels & bit;
+        }
+    }
+    return state;
+};
+
+/**
+ * Self-test finished, waiting for 0xff to go back to binmode
+ */
+Emulator.prototype.selftest = function(byte) {
+    if(byte == 0xff) {
+        this.set_mode('binmode');
+        this.reply(0x01);
+    }
+};
+
+/**
+ * An ADC reading of the probe: 10 bits, MSB first, 6.6V full scale
+ */
+Emulator.prototype.adc_sample = function() {
+    var raw = Math.round(this.adc_probe() * 1024 / 6.6);
+
+    raw = Math.max(0, Math.min(1023, raw));
+    return [raw >> 8, raw & 0xff];
+};
+
+/**
+ * Commands that every binary mode handles the same way.  Returns true if the
+ * byte was dealt with.
+ */
+Emulator.prototype.common = function(byte, version) {
+    if(byte === 0x00) {
+        this.set_mode('binmode');
+        this.reply('BBIO1');
+    } else if(byte == 0x01) {
+        this.reply(version);
+    } else if((byte & 0xf0) == 0x40 || (byte & 0xf0) == 0x60) {
+        // Peripherals and speed
+        this.emit('config', this.mode, byte);
+        this.reply(0x01);
+    } else {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * SPI mode (SPI1)
+ */
+Emulator.prototype.spi = function(byte) {
+    // Any byte stops the sniffer
+    if(this.sniffing) {
+        this.sniffing = false;
+        this.reply(0x01);
+        return;
+    }
+
+    if(this.common(byte, 'SPI1')) {
+        return;
+    }
+
+    if(byte == 0x02 || byte == 0x03) {
+        this.emit('cs', byte == 0x02);
+        this.reply(0x01);
+    } else if(byte == 0x04 && this.write_then_read) {
+        this.spi_write_then_read();
+    } else if(byte >= 0x0d && byte <= 0x0f) {
+        this.sniffing = true;
+        this.reply(0x01);
+    } else if((byte & 0xf0) == 0x10) {
+        this.reply(0x01);
+        this.collect((byte & 0x0f) + 1, (mosi) => {
+            this.reply(this.spi_transfer(mosi));
+        });
+    } else if(byte & 0x80) {
+        this.emit('config', this.mode, byte);
+        this.reply(0x01);
+    } else {
+        this.reply(0x00);
+    }
+};
+
+/**
+ * Clock one byte through the attached SPI device, returning MISO
+ */
+Emulator.prototype.spi_transfer = function(mosi) {
+    var miso = this.spi_device(mosi) & 0xff;
+    this.emit('spi', mosi, miso);
+    return miso;
+};
+
+/**
+ * SPI write-then-read (0x04): write count and read count (16 bit, MSB
+ * first), then the bytes to write.  CS is handled by the BusPirate.
+ */
+Emulator.prototype.spi_write_then_read = function() {
+    var header = [];
+
+    this.collect(4, (b) => header.push(b), () => {
+        var wlen = (header[0] << 8) | header[1];
+        var rlen = (header[2] << 8) | header[3];
+        var write = [];
+
+        var run = () => {
+            var read = [];
+
+            this.emit('cs', true);
+            write.forEach((b) => this.spi_transfer(b));
+            for(var i = 0; i < rlen; i++) {
+                read.push(this.spi_transfer(0xff));
+            }
+            this.emit('cs', false);
+
+            this.reply(0x01);
+            this.reply(read);
+        };
+
+        if(wlen > 4096 || rlen > 4096) {
+            this.reply(0x00);
+        } else if(wlen === 0) {
+            run();
+        } else {
+            this.collect(wlen, (b) => write.push(b), run);
+        }
+    });
+};
+
+/**
+ * I2C mode (I2C1)
+ */
+Emulator.prototype.i2c = function(byte) {
+    var dev = this.i2c_device;
+
+    if(this.common(byte, 'I2C1')) {
+        return;
+    }
+
+    if(byte == 0x02) {
+        if(dev.start) dev.start();
+        this.reply(0x01);
+    } else if(byte == 0x03) {
+        if(dev.stop) dev.stop();
+        this.reply(0x01);
+    } else if(byte == 0x04) {
+        this.reply(dev.read ? dev.read() & 0xff : 0xff);
+    } else if(byte == 0x06 || byte == 0x07) {
+        this.reply(0x01);
+    } else if((byte & 0xf0) == 0x10) {
+        this.reply(0x01);
+        this.collect((byte & 0x0f) + 1, (b) => {
+            var ack = dev.write ? dev.write(b) : false;
+            this.reply(ack ? 0x00 : 0x01);
+        });
+    } else {
+        this.reply(0x00);
+    }
+};
+
+/**
+ * UART mode (ART1)
+ */
+Emulator.prototype.uart = function(byte) {
+    var block = [];
+
+    if(this.common(byte, 'ART1')) {
+        return;
+    }
+
+    if(byte == 0x02 || byte == 0x03) {
+        this.echo_rx = (byte == 0x02);
+        this.reply(0x01);
+    } else if(byte == 0x0f) {
+        // Bridge mode: no reply, and no way back short of a power cycle
+        this.set_mode('uart_bridge');
+    } else if((byte & 0xf0) == 0x10) {
+        this.reply(0x01);
+        this.collect((byte & 0x0f) + 1, (b) => {
+            block.push(b);
+            this.reply(0x01);
+        }, () => {
+            var data = new Buffer(block);
+            this.emit('uart', data);
+            this.uart_device(data);
+        });
+    } else if(byte & 0x80) {
+        this.emit('config', this.mode, byte);
+        this.reply(0x01);
+    } else {
+        this.reply(0x00);
+    }
+};
+
+/**
+ * 1-Wire mode (1W01)
+ */
+Emulator.prototype.onewire = function(byte) {
+    var dev = this.onewire_device;
+
+    if(this.common(byte, '1W01')) {
+        return;
+    }
+
+    if(byte == 0x02) {
+        if(dev.reset) dev.reset();
+        this.reply(0x01);
+    } else if(byte == 0x04) {
+        this.reply(dev.read ? dev.read() & 0xff : 0xff);
+    } else if(byte == 0x08 || byte == 0x09) {
+        // Search macro: every ROM ID found, then eight 0xff
+        var roms = (byte == 0x08) ? dev.roms : dev.alarms;
+        this.reply(0x01);
+        (roms || []).forEach((rom) => this.reply(rom));
+        this.reply([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff]);
+    } else if((byte & 0xf0) == 0x10) {
+        this.reply(0x01);
+        this.collect((byte & 0x0f) + 1, (b) => {
+            if(dev.write) dev.write(b);
+            this.reply(0x01);
+        });
+    } else {
+        this.reply(0x00);
+    }
+};
+
+/**
+ * Raw-wire mode (RAW1)
+ */
+Emulator.prototype.rawwire = function(byte) {
+    var dev = this.rawwire_device;
+    var pins = { 0x04: ['cs', false], 0x05: ['cs', true],
+                 0x0a: ['clock', false], 0x0b: ['clock', true],
+                 0x0c: ['data', false], 0x0d: ['data', true] };
+
+    if(this.common(byte, 'RAW1')) {
+        return;
+    }
+
+    if(byte == 0x02 || byte == 0x03) {
+        if(dev.pin) dev.pin(byte == 0x02 ? 'start' : 'stop', true);
+        this.reply(0x01);
+    } else if(pins[byte]) {
+        this.emit('pin', pins[byte][0], pins[byte][1]);
+        if(dev.pin) dev.pin(pins[byte][0], pins[byte][1]);
+        this.reply(0x01);
+    } else if(byte == 0x06) {
+        this.reply(dev.read ? dev.read() & 0xff : 0xff);
+    } else if(byte == 0x07) {
+        this.reply(dev.read_bit ? (dev.read_bit() ? 1 : 0) : 1);
+    } else if(byte == 0x08) {
+        this.reply(dev.peek ? (dev.peek() ? 1 : 0) : 1);
+    } else if(byte == 0x09) {
+        if(dev.ticks) dev.ticks(1);
+        this.reply(0x01);
+    } else if((byte & 0xf0) == 0x10) {
+        this.reply(0x01);
+        this.collect((byte & 0x0f) + 1, (b) => {
+            this.reply(dev.write ? dev.write(b) & 0xff : 0xff);
+        });
+    } else if((byte & 0xf0) == 0x20) {
+        if(dev.ticks) dev.ticks((byte & 0x0f) + 1);
+        this.reply(0x01);
+    } else if((byte & 0xf0) == 0x30) {
+        var num = (byte & 0x07) + 1;
+        this.reply(0x01);
+        this.collect(1, (b) => {
+            if(dev.bits) dev.bits(b, num);
+            this.reply(0x01);
+        });
+    } else if(byte & 0x80) {
+        this.emit('config', this.mode, byte);
+        this.reply(0x01);
+    } else {
+        this.reply(0x00);
+    }
+};
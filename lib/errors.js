@@ -0,0 +1,104 @@
+/**
+ * Error classes used by BusPirate and the mode modules.  They all inherit
+ * from BusPirateError, so callers can tell our errors from anything else:
+ *
+ *    pirate.spi.write_read([0x9f, 0, 0, 0]).catch((err) => {
+ *        if(err instanceof BusPirate.errors.TimeoutError) ...
+ *    });
+ */
+
+var util = require('util');
+
+
+/**
+ * Base class for everything below
+ * @param {string} message
+ */
+function BusPirateError(message) {
+    Error.call(this);
+    Error.captureStackTrace(this, this.constructor);
+    this.name = 'BusPirateError';
+    this.message = message;
+}
+
+util.inherits(BusPirateError, Error);
+
+
+/**
+ * The device didn't answer in time
+ * @param {string} message
+ * @param {*} expected  what we were waiting for
+ * @param {Buffer} received  what had arrived so far
+ */
+function TimeoutError(message, expected, received) {
+    BusPirateError.call(this, message);
+    this.name = 'TimeoutError';
+    this.expected = expected;
+    this.received = received;
+}
+
+util.inherits(TimeoutError, BusPirateError);
+
+
+/**
+ * The device answered, but not with what we expected
+ * @param {string} message
+ * @param {*} expected  what we were waiting for
+ * @param {Buffer} received  what arrived instead
+ */
+function UnexpectedResponseError(message, expected, received) {
+    BusPirateError.call(this, message);
+    this.name = 'UnexpectedResponseError';
+    this.expected = expected;
+    this.received = received;
+}
+
+util.inherits(UnexpectedResponseError, BusPirateError);
+
+
+/**
+ * The operation needs a mode that the BusPirate isn't in
+ * @param {string} message
+ * @param {string} mode  the mode the BusPirate is actually in
+ */
+function ModeError(message, mode) {
+    BusPirateError.call(this, message);
+    this.name = 'ModeError';
+    this.mode = mode;
+}
+
+util.inherits(ModeError, BusPirateError);
+
+
+/**
+ * The port closed (or was never open) while we needed it
+ * @param {string} message
+ */
+function PortClosedError(message) {
+    BusPirateError.call(this, message || 'Port is closed');
+    this.name = 'PortClosedError';
+}
+
+util.inherits(PortClosedError, BusPirateError);
+
+
+/**
+ * The caller cancelled the operation through an AbortSignal
+ * @param {string} message
+ */
+function AbortError(message) {
+    BusPirateError.call(this, message || 'Operation aborted');
+    this.name = 'AbortError';
+}
+
+util.inherits(AbortError, BusPirateError);
+
+
+module.exports = {
+    BusPirateError: BusPirateError,
+    TimeoutError: TimeoutError,
+    UnexpectedResponseError: UnexpectedResponseError,
+    ModeError: ModeError,
+    PortClosedError: PortClosedError,
+    AbortError: AbortError
+};
@@ -0,0 +1,347 @@
+/**
+ * The I2C mode for BusPirate
+ * http://dangerousprototypes.com/2009/10/20/bus-pirate-binary-i2c-mode/
+ */
+
+var util = require('util');
+var events = require('events');
+
+var errors = require('./errors');
+
+module.exports = I2c;
+
+
+/**
+ * I2c - gives a buspirate I2C bus mode capabilities
+ */
+function I2c(buspirate) {
+    events.EventEmitter.call(this);
+
+    this.bp = buspirate;
+    this.started = false;
+    this.settings = {};
+
+    // Special constants NEEDED to change mode
+    this.constants = {
+        MODE_ID: 0x02,
+        MODE_NAME: 'i2c',
+        MODE_ACK: 'I2C1'
+    };
+
+    this.bp.on('mode', (m) => {
+        if(m != this.constants.MODE_NAME) {
+            this.started = false;
+        }
+    });
+}
+
+// Event emitter!
+util.inherits(I2c, events.EventEmitter);
+
+
+/**
+ * Call .start() to change the buspirate mode and begin I2C
+ * It changes mode and then sets the I2C options
+ * @param  {array} options options to pass on to setopts
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+I2c.prototype.start = function(options, tx) {
+    return this.bp.transaction((tx) => {
+        return this.bp.switch_mode(this.constants, tx)
+            .then((mode) => {
+                if(mode == this.constants.MODE_NAME) {
+                    this.started = true;
+                    return this.setopts(options, tx);
+                } else {
+                    return false;
+                }
+            });
+    }, tx)
+        .catch((err) => {
+            this.bp.log('error', err);
+            throw err;
+        });
+};
+
+
+/**
+ * A set of of defaults for I2C mode
+ */
+var i2c_defaults = {
+    speed:   100,  // Bus speed (kHz): 5, 50, 100 or 400
+    power:   0,    // 1 = power supplies on
+    pullups: 0,    // 1 = pull-up resistors on
+    aux:     0,    // AUX pin state
+    cs:      0     // CS pin state
+};
+
+/**
+ * Setopts sets up the BusPirate as required, emitting 'ready' when done
+ * @param  {array} options To override the defaults above
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+I2c.prototype.setopts = function(options, tx) {
+    var opts = {};
+    options = options || {};
+
+    // Must be started first
+    if(!this.started) {
+        return this.start(options, tx);
+    }
+
+    // Parse options.  Explicit zeros are allowed to override the defaults
+    for(var opt in i2c_defaults) {
+        opts[opt] = (opt in options) ? options[opt] : i2c_defaults[opt];
+    }
+    this.settings = opts;
+
+    // Speed codes (buspirate protocol I2C1)
+    var speeds = {
+        5:   0x60,
+        50:  0x61,
+        100: 0x62,
+        400: 0x63
+    };
+
+    var speedcmd = speeds[opts.speed] || speeds[i2c_defaults.speed];
+    var periph = 0x40 |
+        ((opts.power ? 1 : 0) << 3) |
+        ((opts.pullups ? 1 : 0) << 2) |
+        ((opts.aux ? 1 : 0) << 1) |
+        (opts.cs ? 1 : 0);
+
+    return this.bp.transaction((tx) => {
+        return tx.command(speedcmd, 0x01)
+            .then(() => tx.command(periph, 0x01));
+    }, tx)
+        .then(() => {
+            this.emit('ready');
+            this.bp.log('i2c', 'Started, speed: ' + opts.speed + 'kHz');
+            return true;
+        })
+        .catch((err) => {
+            this.bp.log('error', err);
+            throw err;
+        });
+};
+
+
+/*****[ I2C operations routines ]*******************************************/
+
+/**
+ * Send an I2C start (or repeated start) condition
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+I2c.prototype.start_bit = function(tx) {
+    return this.bp.command(0x02, 0x01, tx);
+};
+
+/**
+ * Send an I2C stop condition
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+I2c.prototype.stop_bit = function(tx) {
+    return this.bp.command(0x03, 0x01, tx);
+};
+
+
+/**
+ * Write a block of 1-16 bytes to the bus.  Resolves with an array holding
+ * true for every byte that was ACKed by the slave, false for a NACK.
+ * @param  {Array|Buffer} buffer  bytes to write
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+I2c.prototype.write_block = function(buffer, tx) {
+    var lenbyte = 0x10 + buffer.length - 1;
+
+    if(buffer.length > 16) {
+        return Promise.reject(new Error('Cannot send more than 16 bytes at once'));
+    }
+
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('I2c must be started before writing', this.bp.mode));
+    }
+
+    return this.bp.transaction((tx) => {
+        return tx.command(lenbyte, 0x01)
+            .then(() => tx.query(Array.prototype.slice.call(buffer), buffer.length));
+    }, tx)
+        .then((acks) => {
+            // The BusPirate answers 0x00 for ACK and 0x01 for NACK
+            return Array.prototype.map.call(acks, (b) => b === 0x00);
+        });
+};
+
+/**
+ * Write any number of bytes, 16 at a time.  No start or stop bits are sent.
+ * Resolves with the ACK status of every byte written.
+ * @param  {Array|Buffer} buffer  bytes to write
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+I2c.prototype.write = function(buffer, tx) {
+    var chunks = [];
+
+    for(var i = 0; i < buffer.length; i += 16) {
+        chunks.push(buffer.slice(i, i + 16));
+    }
+
+    return this.bp.transaction((tx) => {
+        var acks = [];
+        var p = Promise.resolve();
+
+        chunks.forEach((chunk) => {
+            p = p.then(() => this.write_block(chunk, tx))
+                .then((a) => acks.push.apply(acks, a));
+        });
+
+        return p.then(() => acks);
+    }, tx);
+};
+
+
+/**
+ * Read a single byte from the bus, then send an ACK (to ask for more data)
+ * or a NACK (when this is the last byte to read)
+ * @param  {bool} ack  true to ACK the byte, false to NACK it
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+I2c.prototype.read_byte = function(ack, tx) {
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('I2c must be started before reading', this.bp.mode));
+    }
+
+    return this.bp.transaction((tx) => {
+        var byte;
+
+        return tx.query(0x04, 1)
+            .then((data) => {
+                byte = data[0];
+                return tx.command(ack ? 0x06 : 0x07, 0x01);
+            })
+            .then(() => byte);
+    }, tx);
+};
+
+/**
+ * Read num bytes from the bus.  Every byte is ACKed except the last one
+ * @param  {number} num  number of bytes to read
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+I2c.prototype.read = function(num, tx) {
+    return this.bp.transaction((tx) => {
+        var rec = [];
+        var p = Promise.resolve();
+
+        for(var i = 0; i < num; i++) {
+            p = p.then(() => this.read_byte(rec.length < num - 1, tx))
+                .then((b) => rec.push(b));
+        }
+
+        return p.then(() => new Buffer(rec));
+    }, tx);
+};
+
+
+/**
+ * Full register style transaction with a 7-bit address:
+ *   START, addr+W, write..., [repeated START, addr+R, read num...], STOP
+ * @param  {number} address  7-bit slave address
+ * @param  {Array|Buffer} write  bytes to write after the address (optional)
+ * @param  {number} num  number of bytes to read back (optional)
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+I2c.prototype.write_read = function(address, write, num, tx) {
+    write = write || [];
+    num = num || 0;
+
+    return this.bp.transaction((tx) => {
+        var nack = () => {
+            return this.stop_bit(tx).then(() => {
+                throw new errors.UnexpectedResponseError(
+                    'No ACK from I2C address 0x' + address.toString(16), new Buffer([0x00]), new Buffer([0x01]));
+            });
+        };
+        var result = new Buffer(0);
+
+        var p = this.start_bit(tx);
+
+        if(write.length || !num) {
+            p = p.then(() => this.write([address << 1].concat(Array.prototype.slice.call(write)), tx))
+                .then((acks) => {
+                    if(!acks[0]) {
+                        return nack();
+                    }
+                    if(num) {
+                        return this.start_bit(tx);
+                    }
+                });
+        }
+
+        if(num) {
+            p = p.then(() => this.write([(address << 1) | 1], tx))
+                .then((acks) => {
+                    if(!acks[0]) {
+                        return nack();
+                    }
+                    return this.read(num, tx);
+                })
+                .then((data) => {
+                    result = data;
+                });
+        }
+
+        return p.then(() => this.stop_bit(tx))
+            .then(() => {
+                this.bp.log('i2c', 'Transaction with 0x' + address.toString(16) + ' read:', result);
+                return result;
+            });
+    }, tx);
+};
+
+
+/**
+ * Scan the bus for devices, addressing each 7-bit address in turn.
+ * Resolves with an array of the addresses that ACKed.
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+I2c.prototype.scan = function(tx) {
+    var addresses = [];
+
+    // 0x00-0x07 and 0x78-0x7F are reserved addresses
+    for(var addr = 0x08; addr < 0x78; addr++) {
+        addresses.push(addr);
+    }
+
+    return this.bp.transaction((tx) => {
+        var found = [];
+        var p = Promise.resolve();
+
+        addresses.forEach((a) => {
+            p = p.then(() => this.start_bit(tx))
+                .then(() => this.write([a << 1], tx))
+                .then((acks) => {
+                    if(acks[0]) {
+                        found.push(a);
+                    }
+                    return this.stop_bit(tx);
+                });
+        });
+
+        return p.then(() => found);
+    }, tx)
+        .then((found) => {
+            this.bp.log('i2c', 'Scan found:', found);
+            this.emit('scan', found);
+            return found;
+        });
+};
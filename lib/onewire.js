@@ -0,0 +1,415 @@
+/**
+ * The 1-Wire mode for BusPirate
+ * http://dangerousprototypes.com/2009/10/27/bus-pirate-binary-1-wire-mode/
+ */
+
+var util = require('util');
+var events = require('events');
+
+var errors = require('./errors');
+var delay = require('./utils').delay;
+
+module.exports = OneWire;
+
+
+// 1-Wire ROM commands
+var ROM = {
+    READ:  0x33,
+    MATCH: 0x55,
+    SKIP:  0xCC
+};
+
+// DS18B20 function commands
+var DS18B20 = {
+    FAMILY:          0x28,
+    CONVERT:         0x44,
+    READ_SCRATCHPAD: 0xBE,
+    CONVERSION_TIME: 750    // ms, at 12 bit resolution
+};
+
+
+/**
+ * OneWire - gives a buspirate 1-Wire bus mode capabilities
+ */
+function OneWire(buspirate) {
+    events.EventEmitter.call(this);
+
+    this.bp = buspirate;
+    this.started = false;
+    this.settings = {};
+
+    // Special constants NEEDED to change mode
+    this.constants = {
+        MODE_ID: 0x04,
+        MODE_NAME: 'onewire',
+        MODE_ACK: '1W01'
+    };
+
+    this.bp.on('mode', (m) => {
+        if(m != this.constants.MODE_NAME) {
+            this.started = false;
+        }
+    });
+}
+
+// Event emitter!
+util.inherits(OneWire, events.EventEmitter);
+
+
+/**
+ * Call .start() to change the buspirate mode and begin 1-Wire
+ * It changes mode and then sets the options
+ * @param  {array} options options to pass on to setopts
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+OneWire.prototype.start = function(options, tx) {
+    return this.bp.transaction((tx) => {
+        return this.bp.switch_mode(this.constants, tx)
+            .then((mode) => {
+                if(mode == this.constants.MODE_NAME) {
+                    this.started = true;
+                    return this.setopts(options, tx);
+                } else {
+                    return false;
+                }
+            });
+    }, tx)
+        .catch((err) => {
+            this.bp.log('error', err);
+            throw err;
+        });
+};
+
+
+/**
+ * A set of of defaults for 1-Wire mode.  The bus needs a pull-up, either
+ * the on board one (with power on to feed it) or an external one.
+ */
+var onewire_defaults = {
+    power:   0,    // 1 = power supplies on
+    pullups: 0,    // 1 = pull-up resistors on
+    aux:     0,    // AUX pin state
+    cs:      0     // CS pin state
+};
+
+/**
+ * Setopts sets up the BusPirate as required, emitting 'ready' when done
+ * @param  {array} options To override the defaults above
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+OneWire.prototype.setopts = function(options, tx) {
+    var opts = {};
+    options = options || {};
+
+    // Must be started first
+    if(!this.started) {
+        return this.start(options, tx);
+    }
+
+    // Parse options.  Explicit zeros are allowed to override the defaults
+    for(var opt in onewire_defaults) {
+        opts[opt] = (opt in options) ? options[opt] : onewire_defaults[opt];
+    }
+    this.settings = opts;
+
+    var periph = 0x40 |
+        ((opts.power ? 1 : 0) << 3) |
+        ((opts.pullups ? 1 : 0) << 2) |
+        ((opts.aux ? 1 : 0) << 1) |
+        (opts.cs ? 1 : 0);
+
+    return this.bp.command(periph, 0x01, tx)
+        .then(() => {
+            this.emit('ready');
+            this.bp.log('onewire', 'Started');
+            return true;
+        })
+        .catch((err) => {
+            this.bp.log('error', err);
+            throw err;
+        });
+};
+
+
+/*****[ 1-Wire operations routines ]***************************************/
+
+/**
+ * Send a 1-Wire bus reset.  Every transaction on the bus starts with one.
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+OneWire.prototype.reset = function(tx) {
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('OneWire must be started before a reset', this.bp.mode));
+    }
+
+    return this.bp.command(0x02, 0x01, tx);
+};
+
+/**
+ * Check whether any device is on the bus.  The BusPirate doesn't report the
+ * presence pulse, so this resets the bus and reads a ROM: with nobody there
+ * the bus stays high and every bit reads 1.  With several devices their
+ * ROMs collide, but still not to all 1s.  Resolves with true or false.
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+OneWire.prototype.presence = function(tx) {
+    return this.bp.transaction((tx) => {
+        var present;
+
+        return this.reset(tx)
+            .then(() => this.write([ROM.READ], tx))
+            .then(() => this.read(8, tx))
+            .then((rom) => {
+                present = Array.prototype.some.call(rom, (b) => b !== 0xff);
+                return this.reset(tx);
+            })
+            .then(() => present);
+    }, tx);
+};
+
+
+/**
+ * Write a block of 1-16 bytes to the bus
+ * @param  {Array|Buffer} buffer  bytes to write
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+OneWire.prototype.write_block = function(buffer, tx) {
+    var lenbyte = 0x10 + buffer.length - 1;
+    var acks = [];
+
+    if(buffer.length > 16) {
+        return Promise.reject(new Error('Cannot send more than 16 bytes at once'));
+    }
+
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('OneWire must be started before writing', this.bp.mode));
+    }
+
+    // The BusPirate answers 0x01 for every byte written
+    for(var i = 0; i < buffer.length; i++) {
+        acks.push(0x01);
+    }
+
+    return this.bp.transaction((tx) => {
+        return tx.command(lenbyte, 0x01)
+            .then(() => tx.command(Array.prototype.slice.call(buffer), acks));
+    }, tx);
+};
+
+/**
+ * Write any number of bytes, 16 at a time.  No reset is sent.
+ * @param  {Array|Buffer} buffer  bytes to write
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+OneWire.prototype.write = function(buffer, tx) {
+    var chunks = [];
+
+    for(var i = 0; i < buffer.length; i += 16) {
+        chunks.push(buffer.slice(i, i + 16));
+    }
+
+    return this.bp.transaction((tx) => {
+        var p = Promise.resolve();
+
+        chunks.forEach((chunk) => {
+            p = p.then(() => this.write_block(chunk, tx));
+        });
+
+        return p.then(() => true);
+    }, tx);
+};
+
+
+/**
+ * Read a single byte from the bus
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+OneWire.prototype.read_byte = function(tx) {
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('OneWire must be started before reading', this.bp.mode));
+    }
+
+    return this.bp.transaction((tx) => tx.query(0x04, 1), tx)
+        .then((data) => data[0]);
+};
+
+/**
+ * Read num bytes from the bus.  Resolves with a Buffer.
+ * @param  {number} num  number of bytes to read
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+OneWire.prototype.read = function(num, tx) {
+    return this.bp.transaction((tx) => {
+        var rec = [];
+        var p = Promise.resolve();
+
+        for(var i = 0; i < num; i++) {
+            p = p.then(() => this.read_byte(tx))
+                .then((b) => rec.push(b));
+        }
+
+        return p.then(() => new Buffer(rec));
+    }, tx);
+};
+
+
+/*****[ ROM commands ]*****************************************************/
+
+/**
+ * Find the ROM ID of every device on the bus, using the BusPirate's search
+ * macro.  Resolves with an array of 8 byte Buffers (family code first).
+ * Rejects with an UnexpectedResponseError if an ID fails its CRC check.
+ * @param  {bool} alarm  Optional - only find devices with an alarm set
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+OneWire.prototype.search = function(alarm, tx) {
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('OneWire must be started before searching', this.bp.mode));
+    }
+
+    return this.bp.transaction((tx) => {
+        var roms = [];
+        var bad = null;
+
+        // IDs come 8 bytes at a time, until 8 bytes of 0xff.  Read them all
+        // even if one is bad, so nothing is left over for the next command.
+        var next = () => {
+            return tx.read(8).then((rom) => {
+                if(Array.prototype.every.call(rom, (b) => b === 0xff)) {
+                    if(bad) {
+                        throw new errors.UnexpectedResponseError(
+                            'Bad CRC in ROM ID ' + bad.toString('hex'), crc8(bad.slice(0, 7)), bad);
+                    }
+                    return roms;
+                }
+                if(crc8(rom.slice(0, 7)) !== rom[7]) {
+                    bad = bad || rom;
+                } else {
+                    roms.push(rom);
+                }
+                return next();
+            });
+        };
+
+        return tx.command(alarm ? 0x09 : 0x08, 0x01)
+            .then(next);
+    }, tx)
+        .then((roms) => {
+            this.bp.log('onewire', 'Search found:', roms.map((r) => r.toString('hex')));
+            this.emit('search', roms);
+            return roms;
+        });
+};
+
+/**
+ * Reset the bus and address a single device (MATCH ROM)
+ * @param  {Array|Buffer} rom  8 byte ROM ID
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+OneWire.prototype.match_rom = function(rom, tx) {
+    if(rom.length != 8) {
+        return Promise.reject(new RangeError('A ROM ID is 8 bytes'));
+    }
+
+    return this.bp.transaction((tx) => {
+        return this.reset(tx)
+            .then(() => this.write([ROM.MATCH].concat(Array.prototype.slice.call(rom)), tx));
+    }, tx);
+};
+
+/**
+ * Reset the bus and address every device at once (SKIP ROM)
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+OneWire.prototype.skip_rom = function(tx) {
+    return this.bp.transaction((tx) => {
+        return this.reset(tx)
+            .then(() => this.write([ROM.SKIP], tx));
+    }, tx);
+};
+
+/**
+ * Address one device, or all of them if rom isn't given
+ */
+OneWire.prototype.select = function(rom, tx) {
+    return rom ? this.match_rom(rom, tx) : this.skip_rom(tx);
+};
+
+
+/*****[ Devices ]**********************************************************/
+
+/**
+ * Read the temperature (degrees C) from a DS18B20.  The bus is held for the
+ * whole conversion, so nothing else runs in the meantime.
+ * @param  {Array|Buffer} rom  Optional - ROM ID of the sensor.  Leave it out
+ *                             when it is the only device on the bus
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+OneWire.prototype.read_temperature = function(rom, tx) {
+    if(rom && rom[0] !== DS18B20.FAMILY) {
+        this.bp.log('warn', 'ROM ' + new Buffer(rom).toString('hex') + ' is not a DS18B20');
+    }
+
+    return this.bp.transaction((tx) => {
+        return this.select(rom, tx)
+            .then(() => this.write([DS18B20.CONVERT], tx))
+            .then(() => delay(DS18B20.CONVERSION_TIME))
+            .then(() => this.select(rom, tx))
+            .then(() => this.write([DS18B20.READ_SCRATCHPAD], tx))
+            .then(() => this.read(9, tx));
+    }, tx)
+        .then((scratchpad) => {
+            if(crc8(scratchpad.slice(0, 8)) !== scratchpad[8] ||
+               Array.prototype.every.call(scratchpad, (b) => b === 0xff)) {
+                throw new errors.UnexpectedResponseError(
+                    'Bad DS18B20 scratchpad ' + scratchpad.toString('hex'),
+                    crc8(scratchpad.slice(0, 8)), scratchpad);
+            }
+
+            // Signed, in 1/16ths of a degree
+            var temp = scratchpad.readInt16LE(0) / 16;
+            this.bp.log('onewire', 'DS18B20 temperature: ' + temp);
+            return temp;
+        });
+};
+
+
+/*****[ Utilities ]********************************************************/
+
+/**
+ * Dallas/Maxim CRC8 (x^8 + x^5 + x^4 + 1), as used for ROM IDs and the
+ * DS18B20 scratchpad
+ * @param  {Array|Buffer} data
+ * @return {number}
+ */
+function crc8(data) {
+    var crc = 0;
+
+    for(var i = 0; i < data.length; i++) {
+        var byte = data[i];
+        for(var bit = 0; bit < 8; bit++) {
+            var mix = (crc ^ byte) & 0x01;
+            crc >>= 1;
+            if(mix) {
+                crc ^= 0x8C;
+            }
+            byte >>= 1;
+        }
+    }
+
+    return crc;
+}
+
+OneWire.crc8 = crc8;
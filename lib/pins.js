@@ -0,0 +1,188 @@
+/**
+ * Direct pin control in raw bitbang mode (BBIO1), eg to drive the reset and
+ * boot select lines of a target
+ * http://dangerousprototypes.com/2009/10/09/bus-pirate-raw-bitbang-mode/
+ */
+
+var util = require('util');
+var events = require('events');
+
+var errors = require('./errors');
+
+module.exports = Pins;
+
+
+// Bit for each pin in the direction (0x40) and write (0x80) commands.
+// power and pullups can only be written.
+var PINS = {
+    power:   0x40,
+    pullups: 0x20,
+    aux:     0x10,
+    mosi:    0x08,
+    clk:     0x04,
+    miso:    0x02,
+    cs:      0x01
+};
+
+var IO_PINS = ['aux', 'mosi', 'clk', 'miso', 'cs'];
+
+
+/**
+ * Pins - gives a buspirate direct pin control in binmode
+ */
+function Pins(buspirate) {
+    events.EventEmitter.call(this);
+
+    this.bp = buspirate;
+    this.reset_state();
+
+    // Every pin is an input, and everything off, on entering binmode
+    this.bp.on('mode', (m) => {
+        if(m == 'binmode') {
+            this.reset_state();
+        }
+    });
+}
+
+// Event emitter!
+util.inherits(Pins, events.EventEmitter);
+
+
+Pins.prototype.reset_state = function() {
+    this.directions = {};
+    this.levels = {};
+
+    IO_PINS.forEach((pin) => { this.directions[pin] = 'in'; });
+    Object.keys(PINS).forEach((pin) => { this.levels[pin] = false; });
+};
+
+
+/**
+ * Set pins as inputs or outputs.  Pins left out keep their direction.
+ * Resolves with the directions of every pin.  The BusPirate answers with
+ * the pin levels, which are emitted as 'state' (see read()).
+ *    pirate.pins.direction({ cs: 'out', aux: 'out', miso: 'in' })
+ * @param  {Object} dirs  {aux, mosi, clk, miso, cs}: 'in' or 'out'
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Pins.prototype.direction = function(dirs, tx) {
+    var code = 0x40;
+
+    for(var pin in dirs) {
+        if(IO_PINS.indexOf(pin) < 0 || (dirs[pin] != 'in' && dirs[pin] != 'out')) {
+            return Promise.reject(new RangeError('Bad pin direction: ' + pin + ' ' + dirs[pin]));
+        }
+    }
+
+    if(this.bp.mode != 'binmode') {
+        return Promise.reject(new errors.ModeError('Pins can only be controlled in binmode', this.bp.mode));
+    }
+
+    var directions = Object.assign({}, this.directions, dirs);
+
+    // 1 = input
+    IO_PINS.forEach((pin) => {
+        if(directions[pin] == 'in') {
+            code |= PINS[pin];
+        }
+    });
+
+    // The answer is a read of the pins, not their directions: an input that
+    // reads low is still an input
+    return this.bp.transaction((tx) => tx.query(code, 1), tx)
+        .then((data) => {
+            var state = parse_state(data[0]);
+
+            // Only the I/O pins are read, the rest of the byte is the command
+            state.power = this.levels.power;
+            state.pullups = this.levels.pullups;
+
+            this.directions = directions;
+            this.bp.log('pins', 'Directions:', this.directions);
+            this.emit('direction', this.directions);
+            this.emit('state', state);
+            return Object.assign({}, this.directions);
+        });
+};
+
+/**
+ * Drive pins high or low, and turn the power supplies and pull-ups on or
+ * off.  Pins left out keep their level.  Writing an input pin does nothing.
+ * Resolves with the pin state (see read()).
+ *    pirate.pins.write({ power: true, cs: false })
+ * @param  {Object} levels  {power, pullups, aux, mosi, clk, miso, cs}
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Pins.prototype.write = function(levels, tx) {
+    var code = 0x80;
+
+    for(var pin in levels) {
+        if(!(pin in PINS)) {
+            return Promise.reject(new RangeError('Unknown pin: ' + pin));
+        }
+    }
+
+    if(this.bp.mode != 'binmode') {
+        return Promise.reject(new errors.ModeError('Pins can only be controlled in binmode', this.bp.mode));
+    }
+
+    var next = Object.assign({}, this.levels, levels);
+
+    for(var pin in PINS) {
+        if(next[pin]) {
+            code |= PINS[pin];
+        }
+    }
+
+    // The BusPirate answers with the state of the pins
+    return this.bp.transaction((tx) => tx.query(code, 1), tx)
+        .then((data) => {
+            this.levels = next;
+            var state = parse_state(data[0]);
+            this.bp.log('pins', 'State:', state);
+            this.emit('state', state);
+            return state;
+        });
+};
+
+/**
+ * Set one pin
+ * @param  {string} pin  eg 'cs'
+ * @param  {bool} high
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Pins.prototype.set = function(pin, high, tx) {
+    var levels = {};
+
+    levels[pin] = !!high;
+    return this.write(levels, tx);
+};
+
+/**
+ * Read the current level of every pin.  Resolves with
+ *    { power, pullups, aux, mosi, clk, miso, cs }  (true = high)
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Pins.prototype.read = function(tx) {
+    // Writing the levels we already have is how the pins are read
+    return this.write({}, tx);
+};
+
+
+/**
+ * Turn the state byte the BusPirate sends back into an object
+ */
+function parse_state(byte) {
+    var state = {};
+
+    for(var pin in PINS) {
+        state[pin] = !!(byte & PINS[pin]);
+    }
+    return state;
+}
+
+Pins.PINS = PINS;
@@ -0,0 +1,160 @@
+/**
+ * PWM output and frequency measurement on the AUX pin, in raw bitbang mode
+ * (BBIO1)
+ * http://dangerousprototypes.com/2009/10/09/bus-pirate-raw-bitbang-mode/
+ */
+
+var util = require('util');
+var events = require('events');
+
+var errors = require('./errors');
+
+module.exports = Pwm;
+
+
+// Instruction clock of the PIC24 (32MHz oscillator / 2)
+var FCY = 16000000;
+
+// Timer prescaler code -> divider
+var PRESCALERS = [1, 8, 64, 256];
+
+
+/**
+ * Pwm - gives a buspirate PWM and frequency counter capabilities
+ */
+function Pwm(buspirate) {
+    events.EventEmitter.call(this);
+
+    this.bp = buspirate;
+    this.running = false;
+    this.settings = {};
+}
+
+// Event emitter!
+util.inherits(Pwm, events.EventEmitter);
+
+
+/**
+ * Start a PWM signal on AUX.  Options:
+ *    frequency  Hz, about 1Hz to 8MHz
+ *    dutyCycle  0-1, default 0.5 (duty_cycle works too)
+ * The timer can't make every frequency exactly; resolves with what it will
+ * actually produce: { frequency, dutyCycle, prescaler, period, duty }
+ * @param  {Object} options
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Pwm.prototype.start = function(options, tx) {
+    options = options || {};
+
+    var duty_cycle = ('dutyCycle' in options) ? options.dutyCycle :
+                     ('duty_cycle' in options) ? options.duty_cycle : 0.5;
+
+    if(this.bp.mode != 'binmode') {
+        return Promise.reject(new errors.ModeError('PWM is only available in binmode', this.bp.mode));
+    }
+
+    try {
+        var regs = pwm_registers(options.frequency, duty_cycle);
+    } catch(err) {
+        return Promise.reject(err);
+    }
+
+    var cmd = [0x12, regs.prescaler,
+        regs.duty >> 8, regs.duty & 0xff,
+        regs.period >> 8, regs.period & 0xff];
+
+    return this.bp.command(cmd, 0x01, tx)
+        .then(() => {
+            this.running = true;
+            this.settings = regs;
+            this.bp.log('pwm', 'Started, ' + regs.frequency.toFixed(1) + 'Hz, duty ' + regs.dutyCycle.toFixed(3));
+            this.emit('start', regs);
+            return regs;
+        });
+};
+
+/**
+ * Stop the PWM signal
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Pwm.prototype.stop = function(tx) {
+    if(this.bp.mode != 'binmode') {
+        return Promise.reject(new errors.ModeError('PWM is only available in binmode', this.bp.mode));
+    }
+
+    return this.bp.command(0x13, 0x01, tx)
+        .then(() => {
+            this.running = false;
+            this.bp.log('pwm', 'Stopped');
+            this.emit('stop');
+            return true;
+        });
+};
+
+
+/**
+ * Measure the frequency of the signal on AUX.  Resolves with Hz.
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Pwm.prototype.measure_frequency = function(tx) {
+    if(this.bp.mode != 'binmode') {
+        return Promise.reject(new errors.ModeError('Frequency measurement is only available in binmode', this.bp.mode));
+    }
+
+    // The count takes about a second, so allow for it (0 still means forever)
+    return this.bp.transaction((tx) => {
+        var timeout = ('timeout' in tx.options) ? tx.options.timeout : this.bp.timeout;
+        return tx.query(0x16, 4, { timeout: timeout && Math.max(timeout, 3000) });
+    }, tx)
+        .then((data) => {
+            var hz = data.readUInt32BE(0);
+            this.bp.log('pwm', 'Frequency on AUX: ' + hz + 'Hz');
+            return hz;
+        });
+};
+
+
+/*****[ Utilities ]********************************************************/
+
+/**
+ * Work out the timer registers for a frequency and duty cycle, using the
+ * smallest prescaler that fits (for the finest resolution):
+ *    period = FCY / (prescaler * frequency) - 1
+ *    duty   = period * duty_cycle
+ * @param  {number} frequency  Hz
+ * @param  {number} duty_cycle  0-1
+ * @return {Object}  { frequency, dutyCycle, prescaler, period, duty }
+ */
+function pwm_registers(frequency, duty_cycle) {
+    if(!(frequency > 0)) {
+        throw new RangeError('PWM frequency must be a positive number of Hz');
+    }
+    if(!(duty_cycle >= 0 && duty_cycle <= 1)) {
+        throw new RangeError('PWM duty cycle must be between 0 and 1');
+    }
+
+    for(var code = 0; code < PRESCALERS.length; code++) {
+        var period = Math.round(FCY / (PRESCALERS[code] * frequency)) - 1;
+
+        if(period <= 0xffff) {
+            if(period < 1) {
+                break;
+            }
+            var duty = Math.round(period * duty_cycle);
+            return {
+                frequency: FCY / (PRESCALERS[code] * (period + 1)),
+                dutyCycle: duty / period,
+                prescaler: code,
+                period: period,
+                duty: duty
+            };
+        }
+    }
+
+    throw new RangeError('PWM frequency out of range: ' + frequency + 'Hz');
+}
+
+Pwm.pwm_registers = pwm_registers;
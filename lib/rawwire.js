@@ -0,0 +1,373 @@
+/**
+ * Raw 2-wire and 3-wire mode for BusPirate, for odd serial buses and bit
+ * level protocols
+ * http://dangerousprototypes.com/2009/10/20/bus-pirate-raw-wire-mode/
+ */
+
+var util = require('util');
+var events = require('events');
+
+var errors = require('./errors');
+
+module.exports = RawWire;
+
+
+/**
+ * RawWire - gives a buspirate raw 2/3-wire mode capabilities
+ */
+function RawWire(buspirate) {
+    events.EventEmitter.call(this);
+
+    this.bp = buspirate;
+    this.started = false;
+    this.settings = {};
+
+    // Special constants NEEDED to change mode
+    this.constants = {
+        MODE_ID: 0x05,
+        MODE_NAME: 'rawwire',
+        MODE_ACK: 'RAW1'
+    };
+
+    this.bp.on('mode', (m) => {
+        if(m != this.constants.MODE_NAME) {
+            this.started = false;
+        }
+    });
+}
+
+// Event emitter!
+util.inherits(RawWire, events.EventEmitter);
+
+
+/**
+ * Call .start() to change the buspirate mode
+ * It changes mode and then sets the options
+ * @param  {array} options options to pass on to setopts
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.start = function(options, tx) {
+    return this.bp.transaction((tx) => {
+        return this.bp.switch_mode(this.constants, tx)
+            .then((mode) => {
+                if(mode == this.constants.MODE_NAME) {
+                    this.started = true;
+                    return this.setopts(options, tx);
+                } else {
+                    return false;
+                }
+            });
+    }, tx)
+        .catch((err) => {
+            this.bp.log('error', err);
+            throw err;
+        });
+};
+
+
+/**
+ * A set of of defaults for raw-wire mode
+ */
+var rawwire_defaults = {
+    speed:      5,   // Clock speed (kHz): 5, 50, 100 or 400
+    pin_output: 1,   // 0=HiZ (open drain), 1=3.3V
+    wires:      2,   // 2 (data in and out on MOSI) or 3 (separate MISO)
+    lsb_first:  0    // 0=MSB first, 1=LSB first
+};
+
+/**
+ * Setopts sets up the BusPirate as required, emitting 'ready' when done
+ * @param  {array} options To override the defaults above
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.setopts = function(options, tx) {
+    var opts = {};
+    options = options || {};
+
+    // Must be started first
+    if(!this.started) {
+        return this.start(options, tx);
+    }
+
+    // Parse options.  Explicit zeros are allowed to override the defaults
+    for(var opt in rawwire_defaults) {
+        opts[opt] = (opt in options) ? options[opt] : rawwire_defaults[opt];
+    }
+    this.settings = opts;
+
+    // Speed codes (buspirate protocol RAW1)
+    var speeds = {
+        5:   0x60,
+        50:  0x61,
+        100: 0x62,
+        400: 0x63
+    };
+
+    var speedcmd = speeds[opts.speed] || speeds[rawwire_defaults.speed];
+    var w = (opts.pin_output ? 1 : 0) << 3;
+    var x = (opts.wires == 3 ? 1 : 0) << 2;
+    var y = (opts.lsb_first ? 1 : 0) << 1;
+    var config = 0x80 | w | x | y;
+
+    return this.bp.transaction((tx) => {
+        return tx.command(speedcmd, 0x01)
+            .then(() => tx.command(config, 0x01));
+    }, tx)
+        .then(() => {
+            this.emit('ready');
+            this.bp.log('rawwire', 'Started, speed: ' + opts.speed + 'kHz, ' + opts.wires + '-wire');
+            return true;
+        })
+        .catch((err) => {
+            this.bp.log('error', err);
+            throw err;
+        });
+};
+
+
+/*****[ Raw-wire operations routines ]*************************************/
+
+/**
+ * Send a simple command byte, answered with 0x01
+ */
+RawWire.prototype.simple = function(code, what, tx) {
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('RawWire must be started before ' + what, this.bp.mode));
+    }
+
+    return this.bp.command(code, 0x01, tx);
+};
+
+/**
+ * Send an I2C style start condition
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.start_bit = function(tx) {
+    return this.simple(0x02, 'a start bit', tx);
+};
+
+/**
+ * Send an I2C style stop condition
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.stop_bit = function(tx) {
+    return this.simple(0x03, 'a stop bit', tx);
+};
+
+
+/**
+ * Write a block of 1-16 bytes.  In 3-wire mode a byte is read back for
+ * every byte written; resolves with them as a Buffer.
+ * @param  {Array|Buffer} buffer  bytes to write
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.write_block = function(buffer, tx) {
+    var lenbyte = 0x10 + buffer.length - 1;
+
+    if(buffer.length > 16) {
+        return Promise.reject(new Error('Cannot send more than 16 bytes at once'));
+    }
+
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('RawWire must be started before writing', this.bp.mode));
+    }
+
+    return this.bp.transaction((tx) => {
+        return tx.command(lenbyte, 0x01)
+            .then(() => tx.query(Array.prototype.slice.call(buffer), buffer.length));
+    }, tx);
+};
+
+/**
+ * Write any number of bytes, 16 at a time.  Resolves with a Buffer of the
+ * bytes read back (only meaningful in 3-wire mode).
+ * @param  {string|Array|Buffer} buffer  bytes to write
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.write = function(buffer, tx) {
+    var chunks = [];
+
+    if(!Buffer.isBuffer(buffer)) {
+        buffer = new Buffer(buffer);
+    }
+
+    for(var i = 0; i < buffer.length; i += 16) {
+        chunks.push(buffer.slice(i, i + 16));
+    }
+
+    return this.bp.transaction((tx) => {
+        var rec = [];
+        var p = Promise.resolve();
+
+        chunks.forEach((chunk) => {
+            p = p.then(() => this.write_block(chunk, tx))
+                .then((data) => rec.push(data));
+        });
+
+        return p.then(() => Buffer.concat(rec));
+    }, tx);
+};
+
+/**
+ * Write the first num (1-8) bits of byte, MSB first
+ * @param  {number} byte
+ * @param  {number} num  number of bits
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.write_bits = function(byte, num, tx) {
+    if(num < 1 || num > 8) {
+        return Promise.reject(new RangeError('Can only send 1-8 bits at once'));
+    }
+
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('RawWire must be started before writing', this.bp.mode));
+    }
+
+    return this.bp.transaction((tx) => {
+        return tx.command(0x30 | (num - 1), 0x01)
+            .then(() => tx.command(byte & 0xff, 0x01));
+    }, tx);
+};
+
+/**
+ * Write a single bit
+ * @param  {bool} bit
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.write_bit = function(bit, tx) {
+    return this.write_bits(bit ? 0x80 : 0x00, 1, tx);
+};
+
+
+/**
+ * Read a byte, clocking it in
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.read_byte = function(tx) {
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('RawWire must be started before reading', this.bp.mode));
+    }
+
+    return this.bp.transaction((tx) => tx.query(0x06, 1), tx)
+        .then((data) => data[0]);
+};
+
+/**
+ * Read num bytes.  Resolves with a Buffer.
+ * @param  {number} num  number of bytes to read
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.read = function(num, tx) {
+    return this.bp.transaction((tx) => {
+        var rec = [];
+        var p = Promise.resolve();
+
+        for(var i = 0; i < num; i++) {
+            p = p.then(() => this.read_byte(tx))
+                .then((b) => rec.push(b));
+        }
+
+        return p.then(() => new Buffer(rec));
+    }, tx);
+};
+
+/**
+ * Read a single bit, clocking it in.  Resolves with 0 or 1.
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.read_bit = function(tx) {
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('RawWire must be started before reading', this.bp.mode));
+    }
+
+    return this.bp.transaction((tx) => tx.query(0x07, 1), tx)
+        .then((data) => data[0] ? 1 : 0);
+};
+
+
+/**
+ * Send num clock ticks, 16 at a time
+ * @param  {number} num  Optional - default 1
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.clock_ticks = function(num, tx) {
+    var counts = [];
+
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('RawWire must be started before clocking', this.bp.mode));
+    }
+
+    for(var left = (num || 1); left > 0; left -= 16) {
+        counts.push(Math.min(left, 16));
+    }
+
+    return this.bp.transaction((tx) => {
+        var p = Promise.resolve();
+
+        counts.forEach((count) => {
+            p = p.then(() => tx.command(0x20 | (count - 1), 0x01));
+        });
+
+        return p.then(() => true);
+    }, tx);
+};
+
+
+/*****[ Direct pin control ]***********************************************/
+
+/**
+ * Set the CS pin high or low
+ * @param  {bool} high
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.cs = function(high, tx) {
+    return this.simple(high ? 0x05 : 0x04, 'setting CS', tx);
+};
+
+/**
+ * Set the clock pin high or low
+ * @param  {bool} high
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.clock = function(high, tx) {
+    return this.simple(high ? 0x0B : 0x0A, 'setting the clock', tx);
+};
+
+/**
+ * Set the data (MOSI) pin high or low
+ * @param  {bool} high
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.data = function(high, tx) {
+    return this.simple(high ? 0x0D : 0x0C, 'setting data', tx);
+};
+
+/**
+ * Read the state of the data input pin without clocking.  Resolves with
+ * 0 or 1.
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+RawWire.prototype.peek = function(tx) {
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('RawWire must be started before reading', this.bp.mode));
+    }
+
+    return this.bp.transaction((tx) => tx.query(0x08, 1), tx)
+        .then((data) => data[0] ? 1 : 0);
+};
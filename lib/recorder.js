@@ -0,0 +1,113 @@
+/**
+ * Records everything a BusPirate sends and receives to a file, one JSON
+ * object per line:
+ *
+ *    {"t":1520,"dir":"tx","mode":"spi","data":"1f9f000000"}
+ *
+ * t is ms since recording started, dir is 'tx' (to the BusPirate) or 'rx',
+ * and data is hex.  Create the recorder straight after the BusPirate to
+ * catch the whole session, connection included:
+ *
+ *    var pirate = new BusPirate('/dev/ttyUSB0');
+ *    var recorder = new BusPirate.Recorder(pirate, 'session.jsonl');
+ *    ...
+ *    recorder.stop();
+ *
+ * Recordings can be played back with a ReplayTransport.
+ */
+
+var util = require('util');
+var events = require('events');
+var fs = require('fs');
+
+module.exports = Recorder;
+
+
+/**
+ * Recorder constructor.  Starts recording straight away.
+ * @param {BusPirate} buspirate
+ * @param {string|stream.Writable} file  path to write to, or a stream
+ */
+function Recorder(buspirate, file) {
+    events.EventEmitter.call(this);
+
+    this.bp = buspirate;
+    this.started = Date.now();
+    this.count = 0;
+    this.out = ('string' === typeof file) ? fs.createWriteStream(file) : file;
+    this.owns_out = ('string' === typeof file);
+
+    this.ontransmit = (data) => this.record('tx', data);
+    this.onreceive = (data) => this.record('rx', data);
+
+    this.out.on('error', (err) => this.emit('error', err));
+    this.bp.on('transmit', this.ontransmit);
+    this.bp.on('receive', this.onreceive);
+}
+
+// Event emitter!
+util.inherits(Recorder, events.EventEmitter);
+
+
+/**
+ * Write one entry
+ * @param  {string} dir  'tx' or 'rx'
+ * @param  {Buffer} data
+ */
+Recorder.prototype.record = function(dir, data) {
+    var entry = {
+        t: Date.now() - this.started,
+        dir: dir,
+        mode: this.bp.mode,
+        data: data.toString('hex')
+    };
+
+    this.count++;
+    this.out.write(JSON.stringify(entry) + '\n');
+};
+
+/**
+ * Stop recording.  Resolves with the number of entries recorded, once they
+ * are all written (the file is closed, a stream passed in is left open).
+ */
+Recorder.prototype.stop = function() {
+    this.bp.removeListener('transmit', this.ontransmit);
+    this.bp.removeListener('receive', this.onreceive);
+
+    if(!this.owns_out) {
+        return Promise.resolve(this.count);
+    }
+
+    return new Promise((resolve, reject) => {
+        this.out.once('error', reject);
+        this.out.end(() => resolve(this.count));
+    });
+};
+
+
+/**
+ * Read a recording back.  Resolves with an array of entries, with data as
+ * Buffers.
+ * @param  {string} path
+ */
+Recorder.load = function(path) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(path, 'utf8', (err, text) => err ? reject(err) : resolve(text));
+    })
+        .then((text) => Recorder.parse(text));
+};
+
+/**
+ * Parse the text of a recording
+ * @param  {string} text
+ * @return {Array}  entries
+ */
+Recorder.parse = function(text) {
+    return text.split('\n')
+        .filter((line) => line.trim() !== '')
+        .map((line) => {
+            var entry = JSON.parse(line);
+            entry.data = new Buffer(entry.data, 'hex');
+            return entry;
+        });
+};
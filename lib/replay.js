@@ -0,0 +1,156 @@
+/**
+ * A Transport that plays back a session made with a Recorder, so code that
+ * ran against real hardware can be run again without it:
+ *
+ *    var pirate = new BusPirate(new BusPirate.ReplayTransport('session.jsonl'));
+ *
+ * Every write is checked against what was sent in the recording.  Once a
+ * write matches, the data that was received after it is sent back.  Writes
+ * that don't match are reported with an 'error' event.
+ *
+ * Some of the traffic depends on timing (eg how many 0x00 bytes it takes to
+ * get into binmode), so a write may skip a few recorded writes to find its
+ * match; options.lookahead says how many.
+ */
+
+var util = require('util');
+
+var Transport = require('./transport');
+var Recorder = require('./recorder');
+
+module.exports = ReplayTransport;
+
+
+/**
+ * ReplayTransport constructor.  'open' is emitted once the recording has
+ * been loaded.  Options:
+ *    timing     true to send replies with the delays they had when recorded.
+ *               Default false: as soon as possible
+ *    lookahead  how many recorded entries a write can skip.  Default 32
+ * @param {string|Array} recording  path to a recording, or its entries
+ * @param {Object} options
+ */
+function ReplayTransport(recording, options) {
+    Transport.call(this);
+    options = options || {};
+
+    this.path = ('string' === typeof recording) ? recording : 'replay';
+    this.timing = !!options.timing;
+    this.lookahead = ('lookahead' in options) ? options.lookahead : 32;
+    this.entries = [];
+    this.pos = 0;
+    this.timers = [];
+    this.finished = false;
+
+    var loaded = ('string' === typeof recording) ?
+        Recorder.load(recording) : Promise.resolve(recording);
+
+    loaded.then((entries) => {
+        this.entries = entries.map((e) => {
+            return Object.assign({}, e, {
+                data: Buffer.isBuffer(e.data) ? e.data : new Buffer(e.data, 'hex')
+            });
+        });
+        this.emit('open');
+
+        // Anything received before the first write
+        this.release();
+    }, (err) => this.emit('error', err));
+}
+
+util.inherits(ReplayTransport, Transport);
+
+
+/*****[ Transport interface ]**********************************************/
+
+ReplayTransport.prototype.write = function(data, callback) {
+    var buf = Buffer.isBuffer(data) ? data : new Buffer(data);
+
+    if(!this.isOpen) {
+        var err = new Error('Replay is not open');
+        process.nextTick(() => callback && callback(err));
+        return false;
+    }
+
+    process.nextTick(() => callback && callback(null));
+
+    // Replies go after the write callback, like a real port
+    setImmediate(() => this.match(buf));
+    return true;
+};
+
+ReplayTransport.prototype.close = function(callback) {
+    this.timers.forEach(clearTimeout);
+    this.timers = [];
+    this.isOpen = false;
+    process.nextTick(() => {
+        this.emit('close');
+        if(callback) callback(null);
+    });
+};
+
+
+/*****[ Playback ]*********************************************************/
+
+/**
+ * Find the recorded write that data matches, then send what came back
+ * after it
+ * @param  {Buffer} data  what was written
+ */
+ReplayTransport.prototype.match = function(data) {
+    var end = Math.min(this.entries.length, this.pos + this.lookahead + 1);
+
+    for(var i = this.pos; i < end; i++) {
+        var entry = this.entries[i];
+
+        if(entry.dir == 'tx' && entry.data.equals(data)) {
+            this.pos = i + 1;
+            this.release(entry);
+            return;
+        }
+    }
+
+    var expected = this.next_tx();
+    this.emit('error', new Error('Replay mismatch at entry ' + this.pos + ': wrote ' + data.toString('hex') +
+        (expected ? ', recording has ' + expected.data.toString('hex') : ', past the end of the recording')));
+};
+
+/**
+ * Send the received entries that follow the current position
+ * @param  {Object} after  Optional - the write they answer, for timing
+ */
+ReplayTransport.prototype.release = function(after) {
+    var rx = [];
+
+    while(this.pos < this.entries.length && this.entries[this.pos].dir == 'rx') {
+        rx.push(this.entries[this.pos++]);
+    }
+
+    rx.forEach((entry) => {
+        var wait = (this.timing && after) ? Math.max(0, entry.t - after.t) : 0;
+        var tid = setTimeout(() => {
+            this.timers.splice(this.timers.indexOf(tid), 1);
+            if(this.isOpen) {
+                this.emit('data', entry.data);
+            }
+        }, wait);
+        this.timers.push(tid);
+    });
+
+    if(this.pos >= this.entries.length && !this.finished) {
+        this.finished = true;
+        this.emit('finished');
+    }
+};
+
+/**
+ * The next recorded write, if there is one
+ */
+ReplayTransport.prototype.next_tx = function() {
+    for(var i = this.pos; i < this.entries.length; i++) {
+        if(this.entries[i].dir == 'tx') {
+            return this.entries[i];
+        }
+    }
+    return null;
+};
@@ -0,0 +1,497 @@
+/**
+ * Remote control over HTTP, with live events over a WebSocket, so one Bus
+ * Pirate can be shared with people on other machines:
+ *
+ *    var server = new BusPirate.Server(pirate, { token: 'secret' });
+ *    server.listen(8080, '0.0.0.0');
+ *
+ * Endpoints take and return JSON:
+ *    GET  /status        { mode, uart, spi }
+ *    POST /mode          { mode, options }  start uart, spi, i2c, onewire or
+ *                        rawwire with options, or go back to 'binmode'
+ *    POST /periph        { power, pullups, aux, cs }
+ *    POST /uart/write    { data, encoding }  encoding 'utf8' (default) or 'hex'
+ *    POST /spi/transfer  { data, read }  data in hex.  Without read, a byte is
+ *                        read for every byte written; with it, read bytes
+ *                        (0-4096) are read after the write.  Resolves { miso }
+ *    POST /spi/sniff     { how }  'low', 'high', 'all' or false to stop
+ *
+ * Connect a WebSocket to /events for every 'receive', 'mode', UART 'data'
+ * and SPI 'sniff' and 'transaction' event, as JSON with Buffers in hex:
+ *
+ *    {"event":"data","time":1520000000000,"data":"48656c6c6f"}
+ *
+ * With a token, requests need 'Authorization: Bearer <token>' or
+ * ?token=<token> (browsers can't set headers on a WebSocket).  Without one,
+ * the server only listens on the loopback interface: anyone who can reach
+ * it controls the hardware.
+ *
+ * Web pages the user happens to visit are turned away: POST bodies must be
+ * sent as application/json, an Origin header must match the Host, and
+ * without a token the Host must be this machine.
+ *
+ * Failures come back as { error, name } with status 400 for bad requests,
+ * 401, 403 for another site, 404, 409 for a ModeError, 415 for a body that
+ * isn't application/json, 504 for a TimeoutError, or 500.
+ */
+
+var util = require('util');
+var events = require('events');
+var http = require('http');
+var crypto = require('crypto');
+var url = require('url');
+
+var errors = require('./errors');
+var Spi = require('./spi');
+
+module.exports = Server;
+
+
+// Modes that can be started through /mode
+var MODES = ['uart', 'spi', 'i2c', 'onewire', 'rawwire'];
+
+// Largest request body accepted
+var MAX_BODY = 1024 * 1024;
+
+// Most WebSocket data buffered from a client.  They only send pings and
+// closes
+var MAX_WS_PENDING = 64 * 1024;
+
+// From RFC 6455, for the handshake
+var WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+
+/**
+ * Server constructor.  Nothing is served until listen() is called.  Options:
+ *    token  required from clients if set.  Default none
+ * @param {BusPirate} buspirate
+ * @param {Object} options
+ */
+function Server(buspirate, options) {
+    events.EventEmitter.call(this);
+    options = options || {};
+
+    this.bp = buspirate;
+    this.token = options.token || null;
+    this.clients = [];
+
+    this.routes = {
+        'GET /status': () => this.status(),
+        'POST /mode': (body) => this.set_mode(body),
+        'POST /periph': (body) => this.bp.config_periph(body).then(() => this.status()),
+        'POST /uart/write': (body) => this.uart_write(body),
+        'POST /spi/transfer': (body) => this.spi_transfer(body),
+        'POST /spi/sniff': (body) => this.bp.spi.sniff(body.how).then((how) => ({ sniffer: how }))
+    };
+
+    // Events streamed to WebSocket clients
+    this.streams = [
+        [this.bp, 'receive', (data) => ({ data: data })],
+        [this.bp, 'mode', (mode) => ({ mode: mode })],
+        [this.bp.uart, 'data', (data) => ({ data: data })],
+        [this.bp.spi, 'sniff', (s) => ({ mosi: new Buffer(s.mosi), miso: new Buffer(s.miso) })],
+        [this.bp.spi, 'transaction', (t) => ({ mosi: t.mosi, miso: t.miso, start: t.start, end: t.end, cs: t.cs })]
+    ].map((s) => {
+        var listener = function() {
+            this.broadcast(s[1], s[2].apply(null, arguments));
+        }.bind(this);
+        return { emitter: s[0], event: s[1], listener: listener };
+    });
+
+    this.http = http.createServer((req, res) => this.handle(req, res));
+    this.http.on('upgrade', (req, socket) => this.upgrade(req, socket));
+    this.http.on('error', (err) => this.emit('error', err));
+}
+
+// Event emitter!
+util.inherits(Server, events.EventEmitter);
+
+
+/**
+ * Start serving.  Resolves with the address once listening.  Rejects for
+ * anything other than a loopback address unless there is a token.
+ * @param  {number} port
+ * @param  {string} host  Optional - default 127.0.0.1
+ */
+Server.prototype.listen = function(port, host) {
+    host = host || '127.0.0.1';
+
+    if(!this.token && !is_loopback(host)) {
+        return Promise.reject(new Error('Set a token to listen on ' + host + ', not just this machine'));
+    }
+
+    return new Promise((resolve, reject) => {
+        this.http.once('error', reject);
+        this.http.listen(port, host, () => {
+            this.http.removeListener('error', reject);
+            this.streams.forEach((s) => s.emitter.on(s.event, s.listener));
+
+            var address = this.http.address();
+            this.bp.log('server', 'Listening on port ' + address.port);
+            this.emit('listening', address);
+            resolve(address);
+        });
+    });
+};
+
+/**
+ * Stop serving and disconnect every WebSocket client
+ */
+Server.prototype.close = function() {
+    this.streams.forEach((s) => s.emitter.removeListener(s.event, s.listener));
+    this.clients.splice(0).forEach((socket) => socket.destroy());
+
+    return new Promise((resolve) => {
+        this.http.close(() => {
+            this.emit('close');
+            resolve(true);
+        });
+    });
+};
+
+
+/*****[ Endpoints ]********************************************************/
+
+Server.prototype.status = function() {
+    return {
+        mode: this.bp.mode,
+        uart: { started: this.bp.uart.started, settings: this.bp.uart.settings },
+        spi: { started: this.bp.spi.started, settings: this.bp.spi.settings, sniffer: this.bp.spi.sniffer || false }
+    };
+};
+
+Server.prototype.set_mode = function(body) {
+    var p;
+
+    if(body.mode == 'binmode') {
+        p = this.bp.enter_binmode();
+    } else if(MODES.indexOf(body.mode) >= 0) {
+        p = this.bp[body.mode].start(body.options || {});
+    } else {
+        return Promise.reject(request_error(400, 'mode must be binmode or one of ' + MODES.join(', ')));
+    }
+
+    return p.then(() => this.status());
+};
+
+Server.prototype.uart_write = function(body) {
+    var encoding = body.encoding || 'utf8';
+
+    if('string' !== typeof body.data || ['utf8', 'hex'].indexOf(encoding) < 0) {
+        return Promise.reject(request_error(400, 'data must be a string, and encoding utf8 or hex'));
+    }
+
+    var data = new Buffer(body.data, encoding);
+    return this.bp.uart.write(data).then(() => ({ written: data.length }));
+};
+
+Server.prototype.spi_transfer = function(body) {
+    if('string' !== typeof body.data || !/^([0-9a-f]{2})*$/i.test(body.data)) {
+        return Promise.reject(request_error(400, 'data must be hex bytes'));
+    }
+
+    if('read' in body && !(Number.isInteger(body.read) && body.read >= 0 && body.read <= Spi.WRITE_THEN_READ_MAX)) {
+        return Promise.reject(request_error(400, 'read must be a whole number from 0 to ' + Spi.WRITE_THEN_READ_MAX));
+    }
+
+    var data = new Buffer(body.data, 'hex');
+    var p = ('read' in body) ? this.bp.spi.write_then_read(data, body.read) : this.bp.spi.write_read(data);
+
+    return p.then((miso) => ({ miso: miso.toString('hex') }));
+};
+
+
+/*****[ HTTP ]*************************************************************/
+
+Server.prototype.handle = function(req, res) {
+    var path = url.parse(req.url).pathname;
+    var route = this.routes[req.method + ' ' + path];
+
+    if(!this.trusted(req)) {
+        return respond(res, 403, { error: 'Forbidden', name: 'Error' });
+    }
+    if(!this.authorized(req)) {
+        return respond(res, 401, { error: 'Unauthorized', name: 'Error' });
+    }
+    if(!route) {
+        return respond(res, 404, { error: 'No such endpoint: ' + req.method + ' ' + path, name: 'Error' });
+    }
+    if(req.method != 'GET' && !/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+        return respond(res, 415, { error: 'Content-Type must be application/json', name: 'Error' });
+    }
+
+    read_body(req)
+        .then((body) => route(body))
+        .then((result) => respond(res, 200, result), (err) => {
+            this.bp.log('server', req.method + ' ' + path + ' failed:', err.message);
+            respond(res, error_status(err), { error: err.message, name: err.name });
+        });
+};
+
+/**
+ * Turn away requests made by web pages on other sites.  Browsers send
+ * Origin with cross-site POSTs and WebSockets, and without a token the Host
+ * must be this machine, so that a DNS rebinding page can't pass as local.
+ */
+Server.prototype.trusted = function(req) {
+    var host = req.headers.host || '';
+    var origin = req.headers.origin;
+
+    if(!this.token && !is_loopback(host_name(host))) {
+        return false;
+    }
+    if(origin !== undefined) {
+        return (url.parse(origin).host || '').toLowerCase() == host.toLowerCase();
+    }
+    return true;
+};
+
+/**
+ * Check the token, if there is one
+ */
+Server.prototype.authorized = function(req) {
+    if(!this.token) {
+        return true;
+    }
+
+    var auth = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    var given = auth ? auth[1] : url.parse(req.url, true).query.token;
+    var a = new Buffer(String(given || ''));
+    var b = new Buffer(this.token);
+
+    return a.length == b.length && crypto.timingSafeEqual(a, b);
+};
+
+function respond(res, status, body) {
+    var json = JSON.stringify(body);
+
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(json);
+}
+
+/**
+ * Read and parse a JSON request body.  An empty body is {}.
+ */
+function read_body(req) {
+    return new Promise((resolve, reject) => {
+        var chunks = [];
+        var size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if(size > MAX_BODY) {
+                // The rest is ignored
+                reject(request_error(413, 'Request body too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            var text = Buffer.concat(chunks).toString();
+            try {
+                var body = text.trim() ? JSON.parse(text) : {};
+            } catch(err) {
+                return reject(request_error(400, 'Body is not JSON: ' + err.message));
+            }
+            if(!body || 'object' !== typeof body) {
+                return reject(request_error(400, 'Body must be a JSON object'));
+            }
+            resolve(body);
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * The name in a Host header, without the port or IPv6 brackets
+ */
+function host_name(host) {
+    var m = /^\[([^\]]+)\](?::\d+)?$/.exec(host) || /^([^:]*)(?::\d+)?$/.exec(host);
+    return m ? m[1].toLowerCase() : host;
+}
+
+/**
+ * Is host only reachable from this machine?
+ */
+function is_loopback(host) {
+    return host == 'localhost' || host == '::1' || /^127\./.test(host);
+}
+
+function request_error(status, message) {
+    var err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function error_status(err) {
+    if(err.status) {
+        return err.status;
+    }
+    if(err instanceof errors.ModeError) {
+        return 409;
+    }
+    if(err instanceof errors.TimeoutError) {
+        return 504;
+    }
+    if(err instanceof RangeError) {
+        return 400;
+    }
+    return 500;
+}
+
+
+/*****[ WebSocket ]********************************************************/
+
+/**
+ * Accept a WebSocket on /events.  Only what's needed to stream to clients:
+ * text frames out, and ping and close handled coming in.
+ */
+Server.prototype.upgrade = function(req, socket) {
+    var key = req.headers['sec-websocket-key'];
+    var path = url.parse(req.url).pathname;
+
+    if(path != '/events' || !key || !/websocket/i.test(req.headers.upgrade || '')) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    if(!this.trusted(req)) {
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+    }
+    if(!this.authorized(req)) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+    }
+
+    var accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    var pending = new Buffer(0);
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Accept: ' + accept,
+        '', ''
+    ].join('\r\n'));
+
+    this.clients.push(socket);
+    this.bp.log('server', 'WebSocket client connected');
+    this.emit('client', socket);
+
+    var remove = () => {
+        var i = this.clients.indexOf(socket);
+        if(i >= 0) {
+            this.clients.splice(i, 1);
+        }
+    };
+
+    socket.on('data', (data) => {
+        var frame;
+
+        pending = Buffer.concat([pending, data]);
+        if(pending.length > MAX_WS_PENDING) {
+            // 1009: message too big.  Whatever else they send is dropped
+            socket.removeAllListeners('data');
+            socket.end(ws_frame(0x8, new Buffer([0x03, 0xf1])));
+            remove();
+            return;
+        }
+        while((frame = read_frame(pending))) {
+            pending = pending.slice(frame.length);
+
+            if(frame.opcode == 0x8) {
+                socket.end(ws_frame(0x8, frame.payload.slice(0, 2)));
+                remove();
+            } else if(frame.opcode == 0x9) {
+                socket.write(ws_frame(0xA, frame.payload));
+            }
+        }
+    });
+    socket.on('close', remove);
+    socket.on('error', remove);
+};
+
+/**
+ * Send an event to every WebSocket client
+ * @param  {string} event
+ * @param  {Object} fields
+ */
+Server.prototype.broadcast = function(event, fields) {
+    if(!this.clients.length) {
+        return;
+    }
+
+    var message = { event: event, time: Date.now() };
+    for(var name in fields) {
+        message[name] = Buffer.isBuffer(fields[name]) ? fields[name].toString('hex') : fields[name];
+    }
+
+    var frame = ws_frame(0x1, new Buffer(JSON.stringify(message)));
+    this.clients.forEach((socket) => socket.write(frame));
+};
+
+/**
+ * Build an unmasked (server to client) frame
+ */
+function ws_frame(opcode, payload) {
+    var header;
+
+    if(payload.length < 126) {
+        header = new Buffer([0x80 | opcode, payload.length]);
+    } else if(payload.length < 0x10000) {
+        header = new Buffer([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xff]);
+    } else {
+        header = new Buffer(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeUInt32BE(0, 2);
+        header.writeUInt32BE(payload.length, 6);
+    }
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Parse one (masked, client to server) frame from the start of buf.
+ * Returns { opcode, payload, length } or null if it isn't all there yet.
+ */
+function read_frame(buf) {
+    if(buf.length < 2) {
+        return null;
+    }
+
+    var len = buf[1] & 0x7f;
+    var masked = !!(buf[1] & 0x80);
+    var offset = 2;
+
+    if(len == 126) {
+        if(buf.length < 4) return null;
+        len = buf.readUInt16BE(2);
+        offset = 4;
+    } else if(len == 127) {
+        if(buf.length < 10) return null;
+        len = buf.readUInt32BE(6);
+        offset = 10;
+    }
+
+    var mask = masked ? buf.slice(offset, offset + 4) : null;
+    offset += masked ? 4 : 0;
+
+    if(buf.length < offset + len) {
+        return null;
+    }
+
+    var payload = new Buffer(buf.slice(offset, offset + len));
+    if(mask) {
+        for(var i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+
+    return { opcode: buf[0] & 0x0f, payload: payload, length: offset + len };
+}
@@ -1,44 +1,56 @@
 /**
  * SPI bus mode for BusPirate
+ * http://dangerousprototypes.com/2009/10/08/bus-pirate-raw-spi-mode/
  */
 
-var util       = require('util'),
-    asyncblock = require('asyncblock'),
-    events     = require('events');
+var util = require('util');
+var events = require('events');
+
+var errors = require('./errors');
 
 module.exports = Spi;
 
+// Most bytes the write-then-read command moves each way
+var WRITE_THEN_READ_MAX = 4096;
+
+
 /**
  * Spi - gives a buspirate SPIbus mode capabilities
  */
 function Spi(buspirate) {
-  events.EventEmitter.call(this);
-  var self = this;
-
-  this.bp = buspirate;
-  this.started = false;
-  this.sniffer = false;
-  this.reading = false;
-  this.settings = {};
-
-  // Special constants NEEDED to change mode
-  this.constants = {
-    MODE_ID: 0x01,
-    MODE_NAME: 'spi',
-    MODE_ACK: 'SPI1'
-  };
-
-  this.bp.on('receive', function(data) {
-    // Handle incoming data appropriately
-    if (self.sniffer) {
-      self.emit('sniff', find_bytes(data));
-    }
-  });
+    events.EventEmitter.call(this);
+
+    this.bp = buspirate;
+    this.started = false;
+    this.sniffer = false;
+    this.settings = {};
+
+    // Special constants NEEDED to change mode
+    this.constants = {
+        MODE_ID: 0x01,
+        MODE_NAME: 'spi',
+        MODE_ACK: 'SPI1'
+    };
+
+    // Sniffer output is decoded into transactions here.  While the sniffer
+    // is being stopped, sniff() feeds the decoder itself.
+    this.decoder = new SniffDecoder((t) => this.emit('transaction', t));
+    this.sniff_stopping = false;
+
+    this.bp.on('receive', (data) => {
+        // Handle incoming data appropriately
+        if(this.sniffer && !this.sniff_stopping) {
+            this.emit('sniff', this.decoder.push(data, Date.now()));
+        }
+    });
 
-  this.bp.on('mode', function(m) {
-    if (m != self.constants.MODE_NAME)
-      self.started = false;
-  });
+    this.bp.on('mode', (m) => {
+        if(m != this.constants.MODE_NAME) {
+            this.started = false;
+            this.sniffer = false;
+            this.decoder.reset();
+        }
+    });
 }
 
 // Event emitter!
@@ -46,90 +58,96 @@ util.inherits(Spi, events.EventEmitter);
 
 
 /**
- * Call .start() to change the buspirate mode 
+ * Call .start() to change the buspirate mode
  * It changes mode and then sets the options
  * @param  {array} options options to pass on to setopts
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
  */
-Spi.prototype.start = function(options) {
-  var self = this;
-  this.bp.switch_mode(this.constants, function(err, mode) {
-    if (err) {
-      self.bp.log('error', err);
-      return;
-    }
-    else if (mode == self.constants.MODE_NAME) {
-      self.started = true;
-      self.setopts(options);
-    }
-  });
+Spi.prototype.start = function(options, tx) {
+    return this.bp.transaction((tx) => {
+        return this.bp.switch_mode(this.constants, tx)
+            .then((mode) => {
+                if(mode == this.constants.MODE_NAME) {
+                    this.started = true;
+                    return this.setopts(options, tx);
+                } else {
+                    return false;
+                }
+            });
+    }, tx)
+        .catch((err) => {
+            this.bp.log('error', err);
+            throw err;
+        });
 };
 
 
 /**
  * A set of of defaults for SPI
  */
-spi_defaults = {
-  speed: 30,      // Spi speed (kHz)
-  cs_polariy: 0,  // CS active polarity (1 or 0)
-  pin_output: 1,  // 0=HiZ, 1=3.3V
-  idle_phase: 0,  // clock idle polarity (1 or 0)
-  clk_edge: 1,    // CKE clk edge (1 = active to idle)
-  sample_time: 0  // 0: middle
+var spi_defaults = {
+    speed:       30, // Spi speed (kHz)
+    cs_polarity: 0,  // CS active polarity (1 or 0)
+    pin_output:  1,  // 0=HiZ, 1=3.3V
+    idle_phase:  0,  // clock idle polarity (1 or 0)
+    clk_edge:    1,  // CKE clk edge (1 = active to idle)
+    sample_time: 0   // 0: middle
 };
 
 /**
  * Setopts sets up the BusPirate as required, emitting 'ready' when done
  * @param  {array} options To override the defaults above
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
  */
-Spi.prototype.setopts = function(options) {
-  var self = this;
-  var opts = {};
-  options = options || {};
-
-  // Must be started first
-  if (!this.started) {
-    this.start(options);
-    return;
-  }
-
-  // Parse options
-  for (var opt in spi_defaults) {
-    opts[opt] = options[opt] || spi_defaults[opt];
-  }
-  this.settings = opts;
-
-  var speeds = {
-    30:   0x60,
-    125:  0x61,
-    250:  0x62,
-    1000: 0x63,
-    2000: 0x64,
-    2600: 0x65,
-    4000: 0x66,
-    8000: 0x67
-  };
-  var speedcmd = speeds[opts.speed] || speeds[spi_defaults.speed],
-    w = 8 * opts.pin_output,
-    x = 4 * opts.idle_phase,
-    y = 2 * opts.clk_edge,
-    z = 1 * opts.sample_time,
-    err = false;
-
-  // Write everything (synchronously)
-  asyncblock(function(flow) {
-    self.bp.sync_write(flow, speedcmd);
-    err = self.bp.sync_wait(flow, 0x01);
-
-    self.bp.sync_write(flow, 0x80 + w+x+y+z);
-    err = self.bp.sync_wait(flow, 0x01) || err;
-
-    if (err) {
-      self.bp.emit('error', err);
-    } else {
-      self.bp.log('spi', 'Started, speed: '+opts.speed);
-      self.emit('ready');
+Spi.prototype.setopts = function(options, tx) {
+    var opts = {};
+    options = options || {};
+
+    // Must be started first
+    if(!this.started) {
+        return this.start(options, tx);
     }
-  });
+
+    // Parse options.  Explicit zeros are allowed to override the defaults
+    for(var opt in spi_defaults) {
+        opts[opt] = (opt in options) ? options[opt] : spi_defaults[opt];
+    }
+    this.settings = opts;
+
+    // Speed codes (buspirate protocol SPI1)
+    var speeds = {
+        30:   0x60,
+        125:  0x61,
+        250:  0x62,
+        1000: 0x63,
+        2000: 0x64,
+        2600: 0x65,
+        4000: 0x66,
+        8000: 0x67
+    };
+
+    var speedcmd = speeds[opts.speed] || speeds[spi_defaults.speed];
+    var w = (opts.pin_output ? 1 : 0) << 3;
+    var x = (opts.idle_phase ? 1 : 0) << 2;
+    var y = (opts.clk_edge ? 1 : 0) << 1;
+    var z = (opts.sample_time ? 1 : 0);
+    var config = 0x80 | w | x | y | z;
+
+    return this.bp.transaction((tx) => {
+        return tx.command(speedcmd, 0x01)
+            .then(() => tx.command(config, 0x01));
+    }, tx)
+        .then(() => {
+            this.emit('ready');
+            this.bp.log('spi', 'Started, speed: ' + opts.speed);
+            return true;
+        })
+        .catch((err) => {
+            this.bp.log('error', err);
+            throw err;
+        });
 };
 
 
@@ -142,202 +160,368 @@ Spi.prototype.setopts = function(options) {
  *    1      0     0x02
  *    0      1     0x02
  *    1      1     0x03
- * @param  {Bool}   on       Desired state of CS
- * @param  {Function} callback To be called when done
+ * @param  {bool} enable  Desired state of CS
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
  */
-Spi.prototype.cs = function(enable, callback) {
-  var self = this;
-  var code = 0x03 - 1*(enable^this.settings.cs_polarity);
+Spi.prototype.cs = function(enable, tx) {
+    var code = 0x03 - ((enable ? 1 : 0) ^ (this.settings.cs_polarity ? 1 : 0));
 
-  this.bp.write(code);
-  this.bp.wait_for_data(0x01, callback);
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('Spi must be started before using CS', this.bp.mode));
+    }
+
+    return this.bp.command(code, 0x01, tx);
 };
 
 
 /**
- * Set SPI bus sniffing capabilities. TODO: test and fix logic holes! :)
- * @param  {bool|string}   how  what CS state to sniff on. false=>disable
+ * Start or stop the SPI bus sniffer.  While it runs, every CS framed
+ * transfer on the bus is emitted as a 'transaction':
+ *    { mosi: Buffer, miso: Buffer, timestamps: [ms for each byte],
+ *      start: ms, end: ms, cs: true }
+ * Bytes seen outside a CS frame (when sniffing 'all') come out with
+ * cs: false.  The 'sniff' event still gets {mosi, miso} for every block of
+ * data received.  Calling sniff() while sniffing restarts the sniffer.
+ * @param  {bool|string}  how  what CS state to sniff on: 'low', 'high' or
+ *                             'all'.  false => stop
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Spi.prototype.sniff = function(how, tx) {
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('Spi must be started before sniffing', this.bp.mode));
+    }
+
+    if(!this.sniffer && !how) {
+        return Promise.resolve(false);
+    }
+
+    var code = (how == 'high') ? 0x0F :
+               (how == 'low') ? 0x0E : 0x0D;
+
+    return this.bp.transaction((tx) => {
+        var p = this.sniffer ? this.sniff_stop(tx) : Promise.resolve();
+
+        if(how) {
+            p = p.then(() => {
+                this.decoder.reset();
+                return tx.command(code, 0x01);
+            });
+        }
+
+        return p.then(() => {
+            this.bp.log('spi', 'Sniffer status: ' + how);
+            this.sniffer = how;
+            this.emit('sniffer', how);
+            return how;
+        });
+    }, tx);
+};
+
+/**
+ * Stop the sniffer.  Any byte stops it, and it answers 0x01 once it is done
+ * sending what it has sniffed.  That 0x01 can only be told apart from the
+ * sniffed data by decoding it, so the decoder looks for it.
  */
-Spi.prototype.sniff = function(how, callback) {
-  var self = this;
-
-  if (!this.started) {
-    return new Error('Spi must be started before sniffing');
-  }
-
-  // If it's already started, interperet this as a restart request
-  if (this.sniffer) {
-    this.bp.write('r');
-    return;
-  }
-  else {
-    // If how == false, 0xFF is sent, causing the BP to exit sniffer
-    // Otherwise, get the correct code.
-    var sniff = (how)? (how=='high')? 0x0F :
-                      (how=='low')? 0x0E : 0x0D
-                      : 0xFF;
-
-    this.bp.write(sniff);
-    this.bp.wait_for_data(0x01, function(err) {
-      if (!err) {
-        this.sniffer = how;
-        self.bp.log('spi', 'Sniffer status: '+how);
-        self.sniffer = how;
-        self.emit('sniffer', how);
-        if (callback) callback(err);
-      }
+Spi.prototype.sniff_stop = function(tx) {
+    var seen = 0;
+
+    this.sniff_stopping = true;
+
+    var stopped = this.bp.wait_for('sniffer stop', tx.options, (data) => {
+        var sniffed = this.decoder.push(data.slice(seen), Date.now(), true);
+
+        if(sniffed.mosi.length) {
+            this.emit('sniff', { mosi: sniffed.mosi, miso: sniffed.miso });
+        }
+        if(sniffed.stop < 0) {
+            seen = data.length;
+            return null;
+        }
+        return { result: true, used: seen + sniffed.stop + 1 };
     });
-  }
+
+    return tx.write_then(0xFF, stopped)
+        .then(() => {
+            this.decoder.flush(Date.now());
+        }, (err) => {
+            this.decoder.reset();
+            throw err;
+        })
+        .then(() => {
+            this.sniff_stopping = false;
+            this.sniffer = false;
+        }, (err) => {
+            this.sniff_stopping = false;
+            this.sniffer = false;
+            throw err;
+        });
 };
 
 
 /**
- * Write and read bytes of data from SPI bus. TODO: test this more
- * @param  {number}   num      Number of bytes to read
- * @param  {bool}   ignore_cs  Optional - don't toggle CS when writing
- * @param  {Function} callback Execute this when done
+ * Write a block of 1-16 bytes, reading back a byte for every byte written
+ * @param  {Array|Buffer} buffer  bytes to write
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
  */
-Spi.prototype.write_read = function(write, ignore_cs, callback) {
-  var self = this,
-    lenbyte = 0x10 + write.length - 1;
-
-  if (typeof callback === "undefined") {
-    callback = ignore_cs;
-    ignore_cs = false;
-  }
-  if (!this.started) {
-    return new Error('Spi must be started before writing');
-  }
-
-  // TODO: block BP/SPI operation while a read/write is in progress
-
-  if (write.length > 16) {
-    this.bp.log('spi', 'Big Bulk write:', write);
-    var ret = [];
-
-    asyncblock(function(flow) {
-      self.cs(true, flow.add());
-      flow.wait();
-
-      for (var i=0; i < Math.floor(write.length/16); i++) {
-        self.write_read(write.slice(i*16, (i*16)+16), true, flow.add());
-        ret.push.apply(ret, flow.wait());
-      }
-
-      if (i*16 < write.length) {
-        self.write_read(write.slice(i*16), true, flow.add());
-        ret.push.apply(ret, flow.wait());
-      }
-
-      self.cs(false, flow.add());
-      flow.wait();
-      callback(null, ret);
-    });
-  }
-  else {
+Spi.prototype.write_block = function(buffer, tx) {
+    var lenbyte = 0x10 + buffer.length - 1;
+
+    if(buffer.length > 16) {
+        return Promise.reject(new Error('Cannot send more than 16 bytes at once'));
+    }
+
+    return this.bp.transaction((tx) => {
+        return tx.command(lenbyte, 0x01)
+            .then(() => tx.query(buffer, buffer.length));
+    }, tx);
+};
+
+
+/**
+ * Write and read bytes of data from SPI bus.  More than 16 bytes are sent in
+ * 16 byte chunks, all under a single CS assertion.  Resolves with a Buffer
+ * of the bytes read.
+ * @param  {string|Array|Buffer} write  Data to write
+ * @param  {bool} ignore_cs  Optional - don't toggle CS when writing
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Spi.prototype.write_read = function(write, ignore_cs, tx) {
+    var chunks = [];
+
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('Spi must be started before writing', this.bp.mode));
+    }
+
+    if(!Buffer.isBuffer(write)) {
+        write = new Buffer(write);
+    }
+
     this.bp.log('spi', 'Bulk write:', write);
-    var rec = [];
-
-    asyncblock(function(flow) {
-      if (!ignore_cs) {
-        self.cs(true, flow.add());
-        flow.wait();
-      }
-
-      self.bp.sync_write(flow, lenbyte);
-      self.bp.sync_wait(flow, 0x01);
-
-      for (var i = 0; i < write.length; i++) {
-        self.bp.sync_write(flow, write[i]);   // Write data
-        self.bp.wait_for_data('', flow.add());  // Wait for reply
-        rec.push(flow.wait()[0]);
-      }
-      if (!ignore_cs) {
-        self.cs(false, flow.add());
-        flow.wait();
-      }
-
-      callback(null, rec);
-    });
-  }
+
+    for(var i = 0; i < write.length; i += 16) {
+        chunks.push(write.slice(i, i + 16));
+    }
+
+    return this.bp.transaction((tx) => {
+        var rec = [];
+        var p = Promise.resolve();
+
+        if(!ignore_cs) {
+            p = p.then(() => this.cs(true, tx));
+        }
+
+        chunks.forEach((chunk) => {
+            p = p.then(() => this.write_block(chunk, tx))
+                .then((data) => rec.push(data));
+        });
+
+        if(!ignore_cs) {
+            p = p.then(() => this.cs(false, tx));
+        }
+
+        return p.then(() => Buffer.concat(rec));
+    }, tx);
 };
 
 
 /**
- * Read num bytes from Spi
- * @param  {Number}   num      
- * @param  {Function} callback [description]
+ * Write some bytes then read num bytes back, all under one CS assertion.
+ * Up to 4096 bytes each way go in a single write-then-read command (0x04),
+ * which is much faster than write_read() as the BusPirate doesn't answer
+ * every byte.  Larger transfers, and firmware without the command (see
+ * has_write_then_read()), use the bulk transfer path instead.  Resolves
+ * with a Buffer of the bytes read.
+ * @param  {string|Array|Buffer} write  Data to write
+ * @param  {Number} num  Number of bytes to read
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
  */
-Spi.prototype.read = function(num, callback) {
-  var self = this,
-    dummy = [],
-    lenbyte = 0x10 + num-1;
+Spi.prototype.write_then_read = function(write, num, tx) {
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('Spi must be started before writing', this.bp.mode));
+    }
+
+    if(!Buffer.isBuffer(write)) {
+        write = new Buffer(write);
+    }
+
+    if(!this.has_write_then_read() || write.length > WRITE_THEN_READ_MAX || num > WRITE_THEN_READ_MAX) {
+        return this.write_then_read_bulk(write, num, tx);
+    }
+
+    var header = new Buffer([0x04,
+        write.length >> 8, write.length & 0xff,
+        num >> 8, num & 0xff]);
+
+    this.bp.log('spi', 'Write then read:', write, num);
+
+    return this.bp.transaction((tx) => {
+        // The data follows the ack straight away, so listen for both first
+        var ack = tx.expect(0x01);
+        var read = num ? tx.read(num) : Promise.resolve(new Buffer(0));
 
-  // Build an array of dummy data
-  for (var i = num-1; i >= 0; i--)
-    dummy.push(0xff);
+        ack = ack.then(() => read, (err) => {
+            read.catch(() => {});
+            this.bp.fail_waiters(err);
+            throw err;
+        });
 
-  this.write_read(dummy, callback);
+        return tx.write_then(Buffer.concat([header, write]), ack);
+    }, tx);
 };
 
+/**
+ * Does the firmware have write-then-read (0x04)?  It came in v5.5.  Older
+ * firmware would run the rest of the command as SPI commands, so it isn't
+ * tried unless the firmware version (from pirate.info) is known to be new
+ * enough.
+ * @return {bool}
+ */
+Spi.prototype.has_write_then_read = function() {
+    var m = /^(\d+)\.(\d+)/.exec((this.bp.info && this.bp.info.firmware) || '');
+
+    if(!m) {
+        return false;
+    }
+
+    var major = parseInt(m[1], 10);
+    var minor = parseInt(m[2], 10);
+    return (major > 5) || (major == 5 && minor >= 5);
+};
+
+/**
+ * write_then_read() using bulk transfers
+ */
+Spi.prototype.write_then_read_bulk = function(write, num, tx) {
+    var out = new Buffer(write.length + num);
+
+    out.fill(0xff);
+    write.copy(out);
+
+    return this.write_read(out, false, tx)
+        .then((data) => data.slice(write.length));
+};
+
+
+/**
+ * Read num bytes from Spi, writing 0xff dummy bytes.  Uses write-then-read
+ * when it can.
+ * @param  {Number} num  Number of bytes to read
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Spi.prototype.read = function(num, tx) {
+    return this.write_then_read([], num, tx);
+};
+
+
+Spi.WRITE_THEN_READ_MAX = WRITE_THEN_READ_MAX;
 
 
 /*****[ Utilities ]******************************************************/
 
-var bytes_expected = 0;
 /**
- * Parse a buffer and return object of MOSI and MISO streams
- * ie extract MOSI and MISO streams from data such as 'xxxx\AB\cdxxx\efxxx'
- * It will also correctly extract the data even if it is separated into two
- * data buffers.  It assumes data.length > 0.... 
- * @param  {Buffer} data The data to parse
- * @return {Object}      { mosi: [,,,], miso: [,,,] }
+ * Decodes the sniffer output: '[' when CS goes active, ']' when it goes
+ * inactive, and '\' followed by a MOSI and a MISO byte for every byte on the
+ * bus.  Frames can be split across any number of blocks of received data,
+ * so the decoder keeps its place between calls to push().
+ * @param {Function} ontransaction  called with every finished transaction
  */
-function find_bytes(data) {
-  var slash = 0x5C,
-    mosi = [],
-    miso = [],
-    j = 0;
-
-  // TODO: look for '[' and ']' in the stream (CS enable/disable)
-
-  // Check whether we are expecting data (ie received a \ but didn't get
-  // enough bytes after it in the previous Buffer).
-  if (bytes_expected == 2) {
-    if (data.length >= 2){
-      mosi.push(data[j++]);
-      miso.push(data[j++]);
-      bytes_expected = 0;
+function SniffDecoder(ontransaction) {
+    this.ontransaction = ontransaction;
+    this.reset();
+}
+
+SniffDecoder.prototype.reset = function() {
+    this.state = 'idle';    // or 'mosi' / 'miso' after a '\'
+    this.mosi = null;
+    this.frame = null;
+};
+
+/**
+ * Decode a block of sniffer output received at time t.  Returns the bytes
+ * it held as { mosi: [,,,], miso: [,,,], stop }.  If find_stop is set, the
+ * sniffer is being stopped: decoding ends at its 0x01 reply, and stop is
+ * that byte's index (-1 if it hasn't arrived yet).
+ * @param  {Buffer} data
+ * @param  {number} t  receive timestamp (ms)
+ * @param  {bool} find_stop
+ */
+SniffDecoder.prototype.push = function(data, t, find_stop) {
+    var out = { mosi: [], miso: [], stop: -1 };
+
+    for(var i = 0; i < data.length; i++) {
+        var byte = data[i];
+
+        if(this.state == 'mosi') {
+            this.mosi = byte;
+            this.state = 'miso';
+        } else if(this.state == 'miso') {
+            this.add(this.mosi, byte, t);
+            out.mosi.push(this.mosi);
+            out.miso.push(byte);
+            this.state = 'idle';
+        } else if(byte == 0x5B) {           // [
+            this.flush(t);
+            this.frame = new_frame(t, true);
+        } else if(byte == 0x5D) {           // ]
+            if(this.frame) {
+                this.frame.end = t;
+                this.finish();
+            }
+        } else if(byte == 0x5C) {           // \
+            this.state = 'mosi';
+        } else if(find_stop && byte == 0x01) {
+            out.stop = i;
+            break;
+        }
     }
-    else {
-      mosi.push(data[j++]);
-      bytes_expected = 1;
+
+    return out;
+};
+
+/**
+ * Add a byte pair to the current frame, starting one if there isn't one
+ * (traffic seen outside CS)
+ */
+SniffDecoder.prototype.add = function(mosi, miso, t) {
+    if(!this.frame) {
+        this.frame = new_frame(t, false);
     }
-  }
-  else if (bytes_expected == 1) {
-    miso.push(data[j++]);
-    bytes_expected = 0;
-  }
-
-  // Deal with the rest of the data
-  for (var i = j; i < data.length; i++) {
-    if (data[i] == slash) {
-      if (i<data.length-2) {
-        mosi.push(data[++i]);
-        miso.push(data[++i]);
-      }
-      else {
-        // If we didn't get enough data, wait for it next time!
-        if (i == data.length-1) {
-          bytes_expected = 2;
-        }
-        else if (i == data.length-2) {
-          mosi.push(data[++i]);
-          bytes_expected = 1;
+    this.frame.mosi.push(mosi);
+    this.frame.miso.push(miso);
+    this.frame.timestamps.push(t);
+};
+
+/**
+ * Hand over whatever frame is in progress, eg when the sniffer stops.
+ * Frames that never saw CS go inactive have end: null.
+ */
+SniffDecoder.prototype.flush = function(t) {
+    if(this.frame) {
+        if(!this.frame.cs) {
+            this.frame.end = t;
         }
-      }
+        this.finish();
     }
-  }
+    this.state = 'idle';
+};
+
+SniffDecoder.prototype.finish = function() {
+    var frame = this.frame;
+
+    this.frame = null;
+    frame.mosi = new Buffer(frame.mosi);
+    frame.miso = new Buffer(frame.miso);
+    this.ontransaction(frame);
+};
+
+function new_frame(t, cs) {
+    return { mosi: [], miso: [], timestamps: [], start: t, end: null, cs: cs };
+}
 
-  return {mosi: mosi, miso: miso};
-}
\ No newline at end of file
+Spi.SniffDecoder = SniffDecoder;
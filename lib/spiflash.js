@@ -0,0 +1,485 @@
+/**
+ * SPI NOR flash programmer, built on the SPI mode.  Works with the common
+ * 25-series chips (Winbond W25Q, Macronix MX25L, GigaDevice GD25Q, ...):
+ *
+ *    var flash = new BusPirate.SpiFlash(pirate.spi);
+ *    flash.probe()
+ *        .then(() => flash.read_to_file('dump.bin'))
+ *        .then(() => flash.write_from_file('new.bin'));
+ *
+ * Only 3-byte addressing is supported, so chips up to 16MB.
+ */
+
+var fs = require('fs');
+
+var Spi = require('./spi');
+var errors = require('./errors');
+var delay = require('./utils').delay;
+
+module.exports = SpiFlash;
+
+
+// Flash commands
+var CMD = {
+    WRITE_ENABLE: 0x06,
+    READ_STATUS:  0x05,
+    READ:         0x03,
+    PAGE_PROGRAM: 0x02,
+    SECTOR_ERASE: 0x20,
+    CHIP_ERASE:   0xC7,
+    JEDEC_ID:     0x9F,
+    READ_SFDP:    0x5A
+};
+
+// Status register bits
+var WIP = 0x01;   // write in progress
+var WEL = 0x02;   // write enable latch
+
+/**
+ * Known chips, by JEDEC ID.  Anything else is probed with SFDP.
+ */
+var CHIPS = {
+    'ef3013': { name: 'W25X40',     size: 0x080000 },
+    'ef4014': { name: 'W25Q80',     size: 0x100000 },
+    'ef4015': { name: 'W25Q16',     size: 0x200000 },
+    'ef4016': { name: 'W25Q32',     size: 0x400000 },
+    'ef4017': { name: 'W25Q64',     size: 0x800000 },
+    'ef4018': { name: 'W25Q128',    size: 0x1000000 },
+    'c22014': { name: 'MX25L8005',  size: 0x100000 },
+    'c22015': { name: 'MX25L1605',  size: 0x200000 },
+    'c22016': { name: 'MX25L3205',  size: 0x400000 },
+    'c22017': { name: 'MX25L6405',  size: 0x800000 },
+    'c22018': { name: 'MX25L12805', size: 0x1000000 },
+    'c84015': { name: 'GD25Q16',    size: 0x200000 },
+    'c84016': { name: 'GD25Q32',    size: 0x400000 },
+    'c84017': { name: 'GD25Q64',    size: 0x800000 },
+    'c84018': { name: 'GD25Q128',   size: 0x1000000 },
+    // The M25P series only has 64KB sector erase
+    '202014': { name: 'M25P80',     size: 0x100000, sector_size: 0x10000, sector_erase: 0xD8 },
+    '202015': { name: 'M25P16',     size: 0x200000, sector_size: 0x10000, sector_erase: 0xD8 },
+    '202016': { name: 'M25P32',     size: 0x400000, sector_size: 0x10000, sector_erase: 0xD8 }
+};
+
+var geometry_defaults = {
+    name:         'unknown',
+    size:         0,
+    page_size:    256,
+    sector_size:  4096,
+    sector_erase: CMD.SECTOR_ERASE
+};
+
+
+/**
+ * SpiFlash - a flash chip on the SPI bus.  The Spi should be started (with
+ * the default mode 0 settings) before using it.
+ * @param {Spi} spi  pirate.spi
+ * @param {Object} options  Optional:
+ *    geometry      skip probing and use this {size, page_size, ...}
+ *    poll_interval ms between status polls while erasing.  Default 10
+ */
+function SpiFlash(spi, options) {
+    options = options || {};
+
+    this.spi = spi;
+    this.bp = spi.bp;
+    this.id = null;
+    this.geometry = options.geometry ? Object.assign({}, geometry_defaults, options.geometry) : null;
+    this.poll_interval = options.poll_interval || 10;
+}
+
+
+/*****[ Identification ]***************************************************/
+
+/**
+ * Read the JEDEC ID.  Resolves with { manufacturer, type, capacity, id }
+ * where id is the hex string used to look up the chip.
+ */
+SpiFlash.prototype.read_id = function() {
+    return this.command([CMD.JEDEC_ID], 3)
+        .then((data) => {
+            this.id = {
+                manufacturer: data[0],
+                type: data[1],
+                capacity: data[2],
+                id: data.toString('hex')
+            };
+            this.bp.log('flash', 'JEDEC ID: ' + this.id.id);
+            return this.id;
+        });
+};
+
+/**
+ * Read num bytes of the SFDP table, starting at addr
+ */
+SpiFlash.prototype.read_sfdp = function(addr, num) {
+    return this.command([CMD.READ_SFDP].concat(address(addr), [0x00]), num);
+};
+
+/**
+ * Work out the chip geometry from its SFDP basic flash parameter table.
+ * Resolves with null if the chip doesn't support SFDP.
+ */
+SpiFlash.prototype.sfdp = function() {
+    return this.read_sfdp(0, 16)
+        .then((header) => {
+            if(header.toString('binary', 0, 4) != 'SFDP') {
+                return null;
+            }
+
+            // First parameter header is the basic flash parameter table
+            var dwords = header[11];
+            var ptp = header.readUIntLE(12, 3);
+
+            return this.read_sfdp(ptp, Math.min(dwords, 16) * 4)
+                .then((bfpt) => {
+                    var density = bfpt.readUInt32LE(4);
+                    var bits = (density & 0x80000000) ? Math.pow(2, density & 0x7fffffff) : density + 1;
+                    var geometry = {
+                        name: 'SFDP',
+                        size: bits / 8
+                    };
+
+                    // 4KB erase supported?
+                    if((bfpt[0] & 0x03) == 0x01) {
+                        geometry.sector_size = 4096;
+                        geometry.sector_erase = bfpt[1];
+                    }
+
+                    // Page size, JESD216A and later
+                    if(bfpt.length >= 44) {
+                        geometry.page_size = 1 << ((bfpt[40] >> 4) & 0x0f);
+                    }
+
+                    return geometry;
+                });
+        });
+};
+
+/**
+ * Identify the chip and work out its geometry: from the table of known
+ * chips, then SFDP, then the JEDEC capacity byte as a last resort.
+ * Resolves with the geometry, which is also kept in this.geometry.
+ */
+SpiFlash.prototype.probe = function() {
+    return this.read_id()
+        .then((id) => {
+            if(id.manufacturer === 0x00 || id.manufacturer === 0xff) {
+                throw new errors.UnexpectedResponseError('No flash chip found (JEDEC ID ' + id.id + ')',
+                    'JEDEC ID', new Buffer(id.id, 'hex'));
+            }
+
+            if(CHIPS[id.id]) {
+                return CHIPS[id.id];
+            }
+
+            return this.sfdp().then((geometry) => {
+                return geometry || {
+                    name: 'JEDEC ' + id.id,
+                    size: Math.pow(2, id.capacity)
+                };
+            });
+        })
+        .then((geometry) => {
+            this.geometry = Object.assign({}, geometry_defaults, geometry);
+            this.bp.log('flash', 'Found ' + this.geometry.name + ', ' + this.geometry.size + ' bytes');
+            return this.geometry;
+        });
+};
+
+
+/*****[ Status ]***********************************************************/
+
+/**
+ * Read the status register
+ * @param  {Transaction} tx  Optional - run inside this transaction
+ */
+SpiFlash.prototype.status = function(tx) {
+    return this.command([CMD.READ_STATUS], 1, tx)
+        .then((data) => data[0]);
+};
+
+/**
+ * Set the write enable latch, checking that it stuck (it won't if the chip
+ * is write protected)
+ * @param  {Transaction} tx  Optional - run inside this transaction
+ */
+SpiFlash.prototype.write_enable = function(tx) {
+    return this.command([CMD.WRITE_ENABLE], 0, tx)
+        .then(() => this.status(tx))
+        .then((status) => {
+            if(!(status & WEL)) {
+                throw new errors.UnexpectedResponseError('Write enable failed, is the chip write protected?',
+                    WEL, status);
+            }
+        });
+};
+
+/**
+ * Poll the status register until the write in progress bit clears
+ * @param  {number} timeout  ms to wait before giving up
+ * @param  {number} interval  ms between polls
+ * @param  {Transaction} tx  Optional - run inside this transaction
+ */
+SpiFlash.prototype.wait_ready = function(timeout, interval, tx) {
+    var give_up = Date.now() + timeout;
+
+    var poll = () => {
+        return this.status(tx).then((status) => {
+            if(!(status & WIP)) {
+                return true;
+            }
+            if(Date.now() > give_up) {
+                throw new errors.TimeoutError('Flash still busy after ' + timeout + 'ms', 'WIP clear', status);
+            }
+            return delay(interval).then(poll);
+        });
+    };
+
+    return poll();
+};
+
+
+/*****[ Reading ]**********************************************************/
+
+/**
+ * Read len bytes starting at addr.  Resolves with a Buffer.  Big reads are
+ * split into one read command per write-then-read block, which keeps them
+ * on the fast path.
+ * @param  {number} addr
+ * @param  {number} len
+ */
+SpiFlash.prototype.read = function(addr, len) {
+    var blocks = [];
+    var rec = [];
+    var p = Promise.resolve();
+
+    if(this.geometry && addr + len > this.geometry.size) {
+        return Promise.reject(new RangeError('Read past the end of the flash'));
+    }
+
+    for(var offset = 0; offset < len; offset += Spi.WRITE_THEN_READ_MAX) {
+        blocks.push([addr + offset, Math.min(Spi.WRITE_THEN_READ_MAX, len - offset)]);
+    }
+
+    blocks.forEach((block) => {
+        p = p.then(() => this.command([CMD.READ].concat(address(block[0])), block[1]))
+            .then((data) => rec.push(data));
+    });
+
+    return p.then(() => {
+        this.bp.log('flash', 'Read ' + len + ' bytes from 0x' + addr.toString(16));
+        return Buffer.concat(rec);
+    });
+};
+
+/**
+ * Check that the flash at addr holds data.  Resolves with true, or rejects
+ * with an UnexpectedResponseError saying where the first difference is.
+ * @param  {number} addr
+ * @param  {Buffer} data
+ */
+SpiFlash.prototype.verify = function(addr, data) {
+    return this.read(addr, data.length)
+        .then((read) => {
+            for(var i = 0; i < data.length; i++) {
+                if(read[i] != data[i]) {
+                    throw new errors.UnexpectedResponseError(
+                        'Verify failed at 0x' + (addr + i).toString(16),
+                        data.slice(i, i + 16), read.slice(i, i + 16));
+                }
+            }
+            return true;
+        });
+};
+
+
+/*****[ Erasing and programming ]******************************************/
+
+/**
+ * Erase the sector containing addr
+ * @param  {number} addr
+ */
+SpiFlash.prototype.erase_sector = function(addr) {
+    var geometry = this.geometry || geometry_defaults;
+
+    return this.bp.transaction((tx) => {
+        return this.write_enable(tx)
+            .then(() => this.command([geometry.sector_erase].concat(address(addr)), 0, tx))
+            .then(() => this.wait_ready(5000, this.poll_interval, tx));
+    })
+        .then(() => {
+            this.bp.log('flash', 'Erased sector at 0x' + addr.toString(16));
+            return true;
+        });
+};
+
+/**
+ * Erase the whole chip.  This can take a minute or more on big chips.
+ * @param  {number} timeout  Optional - ms to wait. Default 200000
+ */
+SpiFlash.prototype.erase_chip = function(timeout) {
+    return this.bp.transaction((tx) => {
+        return this.write_enable(tx)
+            .then(() => this.command([CMD.CHIP_ERASE], 0, tx))
+            .then(() => this.wait_ready(timeout || 200000, 100, tx));
+    })
+        .then(() => {
+            this.bp.log('flash', 'Chip erased');
+            return true;
+        });
+};
+
+/**
+ * Program up to a page of data.  It must not cross a page boundary, and the
+ * area must already be erased.
+ * @param  {number} addr
+ * @param  {Buffer} data
+ */
+SpiFlash.prototype.program_page = function(addr, data) {
+    var page_size = (this.geometry || geometry_defaults).page_size;
+
+    if((addr % page_size) + data.length > page_size) {
+        return Promise.reject(new RangeError('Page program can\'t cross a page boundary'));
+    }
+
+    return this.bp.transaction((tx) => {
+        return this.write_enable(tx)
+            .then(() => this.command([CMD.PAGE_PROGRAM].concat(address(addr), Array.prototype.slice.call(data)), 0, tx))
+            .then(() => this.wait_ready(100, 1, tx));
+    });
+};
+
+/**
+ * Program any amount of (already erased) flash, a page at a time
+ * @param  {number} addr
+ * @param  {Buffer} data
+ */
+SpiFlash.prototype.program = function(addr, data) {
+    var page_size = (this.geometry || geometry_defaults).page_size;
+    var pages = [];
+    var p = Promise.resolve();
+
+    // The first page may be partial
+    for(var offset = 0, len; offset < data.length; offset += len) {
+        len = page_size - ((addr + offset) % page_size);
+        pages.push({ addr: addr + offset, data: data.slice(offset, offset + len) });
+    }
+
+    pages.forEach((page) => {
+        p = p.then(() => this.program_page(page.addr, page.data));
+    });
+
+    return p.then(() => {
+        this.bp.log('flash', 'Programmed ' + data.length + ' bytes at 0x' + addr.toString(16));
+        return true;
+    });
+};
+
+/**
+ * Erase every sector touched by data, program it and verify it.  Whatever
+ * else is in the first and last sectors is read first and programmed back,
+ * so unaligned writes leave their neighbours alone.
+ * @param  {number} addr
+ * @param  {Buffer} data
+ */
+SpiFlash.prototype.write = function(addr, data) {
+    var sector_size = (this.geometry || geometry_defaults).sector_size;
+    var start = addr - (addr % sector_size);
+    var end = addr + data.length;
+    var tail = (end % sector_size) ? sector_size - (end % sector_size) : 0;
+    var sectors = [];
+    var parts = [];
+    var p = Promise.resolve();
+
+    if(!data.length) {
+        return Promise.resolve(true);
+    }
+
+    if(start < addr) {
+        p = p.then(() => this.read(start, addr - start)).then((before) => parts.push(before));
+    }
+    p = p.then(() => parts.push(data));
+    if(tail) {
+        p = p.then(() => this.read(end, tail)).then((after) => parts.push(after));
+    }
+
+    for(var s = start; s < end; s += sector_size) {
+        sectors.push(s);
+    }
+
+    sectors.forEach((sector) => {
+        p = p.then(() => this.erase_sector(sector));
+    });
+
+    return p.then(() => {
+        var sectors_data = Buffer.concat(parts);
+        return this.program(start, sectors_data)
+            .then(() => this.verify(start, sectors_data));
+    });
+};
+
+
+/*****[ Files ]************************************************************/
+
+/**
+ * Read the flash into a file
+ * @param  {string} path
+ * @param  {number} addr  Optional - default 0
+ * @param  {number} len   Optional - default the rest of the chip
+ */
+SpiFlash.prototype.read_to_file = function(path, addr, len) {
+    var p = this.geometry ? Promise.resolve(this.geometry) : this.probe();
+
+    addr = addr || 0;
+
+    return p.then((geometry) => this.read(addr, len || geometry.size - addr))
+        .then((data) => {
+            return new Promise((resolve, reject) => {
+                fs.writeFile(path, data, (err) => err ? reject(err) : resolve(data.length));
+            });
+        });
+};
+
+/**
+ * Write a file to the flash (erase, program, verify)
+ * @param  {string} path
+ * @param  {number} addr  Optional - default 0
+ */
+SpiFlash.prototype.write_from_file = function(path, addr) {
+    var p = this.geometry ? Promise.resolve(this.geometry) : this.probe();
+
+    addr = addr || 0;
+
+    return p.then((geometry) => {
+        return new Promise((resolve, reject) => {
+            fs.readFile(path, (err, data) => err ? reject(err) : resolve(data));
+        });
+    })
+        .then((data) => {
+            if(addr + data.length > this.geometry.size) {
+                throw new RangeError(path + ' doesn\'t fit in the flash');
+            }
+            return this.write(addr, data);
+        });
+};
+
+
+/*****[ Utilities ]********************************************************/
+
+/**
+ * Send a command (opcode and arguments) under a single CS assertion, then
+ * read num bytes back.  Resolves with the bytes read.
+ * @param  {Array} cmd  opcode and arguments
+ * @param  {number} num  number of bytes to read after them
+ * @param  {Transaction} tx  Optional - run inside this transaction
+ */
+SpiFlash.prototype.command = function(cmd, num, tx) {
+    return this.spi.write_then_read(cmd, num, tx);
+};
+
+/**
+ * 24 bit address as an array of bytes, MSB first
+ */
+function address(addr) {
+    return [(addr >> 16) & 0xff, (addr >> 8) & 0xff, addr & 0xff];
+}
@@ -0,0 +1,246 @@
+/**
+ * Bus Pirate bus syntax, as typed at its terminal, run in the binary modes:
+ *
+ *    pirate.run('[0x9f r:3]')               SPI: JEDEC ID
+ *    pirate.run('[0xa0 0x00 [0xa1 r:8]')    I2C: EEPROM read
+ *
+ * What's understood:
+ *    [ {        start: CS active (SPI, raw-wire 3-wire), start condition
+ *               (I2C, raw-wire), bus reset (1-Wire)
+ *    ] }        stop: CS inactive, stop condition (nothing for 1-Wire)
+ *    0x9f 0b101 12   a byte to write.  :N repeats it, eg 0xff:4
+ *    "text"     the bytes of a string
+ *    r          read a byte.  r:N reads N
+ *    & %        delay 1us / 1ms.  :N repeats
+ * Spaces and commas separate values.
+ * http://dangerousprototypes.com/docs/Bus_Pirate_menu_options_guide
+ */
+
+var errors = require('./errors');
+var delay = require('./utils').delay;
+
+module.exports = {
+    parse: parse,
+    run: run
+};
+
+
+/**
+ * How each bus does the operations
+ *    write(bp, data, tx) resolves with extra fields for the step
+ *    read(bp, num, more, tx) resolves with a Buffer.  more is true when the
+ *    next operation is another read (I2C ACKs the last byte, rather than
+ *    NACKing it)
+ */
+var BUSES = {
+    spi: {
+        start: (bp, tx) => bp.spi.cs(true, tx),
+        stop: (bp, tx) => bp.spi.cs(false, tx),
+        write: (bp, data, tx) => bp.spi.write_read(data, true, tx).then((miso) => ({ miso: miso })),
+        // SPI reads by clocking out 0xff
+        read: (bp, num, more, tx) => bp.spi.write_read(new Buffer(num).fill(0xff), true, tx)
+    },
+    i2c: {
+        start: (bp, tx) => bp.i2c.start_bit(tx),
+        stop: (bp, tx) => bp.i2c.stop_bit(tx),
+        write: (bp, data, tx) => bp.i2c.write(data, tx).then((acks) => ({ acks: acks })),
+        read: (bp, num, more, tx) => {
+            if(!more) {
+                return bp.i2c.read(num, tx);
+            }
+            return bp.transaction((tx) => {
+                var rec = [];
+                var p = Promise.resolve();
+
+                for(var i = 0; i < num; i++) {
+                    p = p.then(() => bp.i2c.read_byte(true, tx))
+                        .then((b) => rec.push(b));
+                }
+
+                return p.then(() => new Buffer(rec));
+            }, tx);
+        }
+    },
+    rawwire: {
+        start: (bp, tx) => bp.rawwire.start_bit(tx),
+        stop: (bp, tx) => bp.rawwire.stop_bit(tx),
+        write: (bp, data, tx) => bp.rawwire.write(data, tx).then((miso) => ({ miso: miso })),
+        read: (bp, num, more, tx) => bp.rawwire.read(num, tx)
+    },
+    onewire: {
+        start: (bp, tx) => bp.onewire.reset(tx),
+        stop: () => Promise.resolve(true),
+        write: (bp, data, tx) => bp.onewire.write(data, tx).then(() => ({})),
+        read: (bp, num, more, tx) => bp.onewire.read(num, tx)
+    }
+};
+
+// Tokens, tried in order at each position
+var TOKENS = [
+    ['space', /[\s,]+/y],
+    ['start', /[\[{]/y],
+    ['stop', /[\]}]/y],
+    ['string', /"([^"]*)"/y],
+    ['number', /(0x[0-9a-f]+|0b[01]+|\d+)(?::(\d+))?/iy],
+    ['read', /r(?::(\d+))?/iy],
+    ['delay', /([&%])(?::(\d+))?/y]
+];
+
+
+/**
+ * Parse bus syntax into a list of operations:
+ *    { op: 'start' }  { op: 'stop' }  { op: 'write', data: [bytes] }
+ *    { op: 'read', count }  { op: 'delay', us }
+ * Neighbouring writes, reads and delays are merged.  Throws a SyntaxError
+ * for anything it doesn't understand.
+ * @param  {string} text
+ * @return {Array}
+ */
+function parse(text) {
+    var ops = [];
+    var pos = 0;
+
+    var add = (op) => {
+        var last = ops[ops.length - 1];
+
+        if(last && last.op == op.op && op.op == 'write') {
+            last.data = last.data.concat(op.data);
+        } else if(last && last.op == op.op && op.op == 'read') {
+            last.count += op.count;
+        } else if(last && last.op == op.op && op.op == 'delay') {
+            last.us += op.us;
+        } else {
+            ops.push(op);
+        }
+    };
+
+    while(pos < text.length) {
+        var token = null;
+        var m = null;
+
+        for(var i = 0; i < TOKENS.length && !m; i++) {
+            TOKENS[i][1].lastIndex = pos;
+            m = TOKENS[i][1].exec(text);
+            token = TOKENS[i][0];
+        }
+
+        // A value must end at a separator or bracket, eg not '0x9fz'
+        if(m && (token == 'number' || token == 'read') && /^[\w"]/.test(text.slice(pos + m[0].length))) {
+            m = null;
+        }
+
+        if(!m) {
+            throw new SyntaxError('Bad bus syntax at position ' + pos + ': ' + text.slice(pos, pos + 10));
+        }
+
+        var repeat = 1;
+
+        switch(token) {
+            case 'start':
+            case 'stop':
+                ops.push({ op: token });
+                break;
+
+            case 'string':
+                add({ op: 'write', data: Array.prototype.slice.call(new Buffer(m[1])) });
+                break;
+
+            case 'number':
+                var value = /^0b/i.test(m[1]) ? parseInt(m[1].slice(2), 2) : Number(m[1]);
+                if(value > 0xff) {
+                    throw new SyntaxError('Value out of range at position ' + pos + ': ' + m[1]);
+                }
+                repeat = m[2] ? parseInt(m[2], 10) : 1;
+                add({ op: 'write', data: new Array(repeat).fill(value) });
+                break;
+
+            case 'read':
+                add({ op: 'read', count: m[1] ? parseInt(m[1], 10) : 1 });
+                break;
+
+            case 'delay':
+                repeat = m[2] ? parseInt(m[2], 10) : 1;
+                add({ op: 'delay', us: repeat * (m[1] == '%' ? 1000 : 1) });
+                break;
+        }
+
+        pos += m[0].length;
+    }
+
+    return ops;
+}
+
+
+/**
+ * Run bus syntax in the current mode (SPI, I2C, raw-wire or 1-Wire), as
+ * one transaction.  Resolves with
+ *    { steps, written, read }
+ * where steps has an entry for each operation that was run (writes have
+ * miso, or acks for I2C; reads have data), and written and read are all the
+ * bytes written and read.  Timers can't wait less than a millisecond, so
+ * delays are rounded up to whole ms.
+ * @param  {BusPirate} bp
+ * @param  {string|Array} syntax  bus syntax, or operations from parse()
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+function run(bp, syntax, tx) {
+    var bus = BUSES[bp.mode];
+
+    try {
+        var ops = ('string' === typeof syntax) ? parse(syntax) : syntax;
+    } catch(err) {
+        return Promise.reject(err);
+    }
+
+    if(!bus) {
+        return Promise.reject(new errors.ModeError('Bus syntax needs SPI, I2C, raw-wire or 1-Wire mode', bp.mode));
+    }
+
+    return bp.transaction((tx) => {
+        var steps = [];
+
+        return ops.reduce((p, op, i) => {
+            return p
+                .then(() => {
+                    switch(op.op) {
+                        case 'start':
+                        case 'stop':
+                            return bus[op.op](bp, tx).then(() => ({ op: op.op }));
+
+                        case 'write':
+                            var data = new Buffer(op.data);
+                            return bus.write(bp, data, tx)
+                                .then((extra) => Object.assign({ op: 'write', data: data }, extra));
+
+                        case 'read':
+                            var more = next_op(ops, i) == 'read';
+                            return bus.read(bp, op.count, more, tx)
+                                .then((data) => ({ op: 'read', data: data }));
+
+                        case 'delay':
+                            return delay(Math.ceil(op.us / 1000)).then(() => ({ op: 'delay', us: op.us }));
+                    }
+                    throw new RangeError('Unknown bus operation: ' + op.op);
+                })
+                .then((step) => steps.push(step));
+        }, Promise.resolve())
+            .then(() => {
+                var of = (type) => Buffer.concat(steps.filter((s) => s.op == type).map((s) => s.data));
+                bp.log(bp.mode, 'Ran ' + ('string' === typeof syntax ? syntax : ops.length + ' operations'));
+                return { steps: steps, written: of('write'), read: of('read') };
+            });
+    }, tx);
+}
+
+/**
+ * The next operation after ops[i] that isn't a delay
+ */
+function next_op(ops, i) {
+    for(var j = i + 1; j < ops.length; j++) {
+        if(ops[j].op != 'delay') {
+            return ops[j].op;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,209 @@
+/**
+ * The Bus Pirate's user terminal, for the features that have no binary
+ * mode equivalent (menus, macros, the voltage report...)
+ * http://dangerousprototypes.com/docs/Bus_Pirate_menu_options_guide
+ *
+ *    pirate.terminal.enter()
+ *        .then(() => pirate.terminal.command('v'))
+ *        .then((result) => console.log(result.lines))
+ *        .then(() => pirate.terminal.exit());
+ *
+ * While in the terminal, pirate.mode is 'terminal' and the binary modes
+ * can't be used until exit().
+ */
+
+var util = require('util');
+var events = require('events');
+
+var errors = require('./errors');
+var delay = require('./utils').delay;
+
+module.exports = Terminal;
+
+
+// How long the BusPirate takes to restart into the terminal (ms)
+var RESET_TIME = 1000;
+
+
+/**
+ * Terminal - gives a buspirate its user terminal
+ */
+function Terminal(buspirate) {
+    events.EventEmitter.call(this);
+
+    this.bp = buspirate;
+
+    // The current prompt without the '>', eg 'HiZ', 'SPI' or '(1)' in a menu
+    this.prompt = null;
+}
+
+// Event emitter!
+util.inherits(Terminal, events.EventEmitter);
+
+
+/**
+ * Leave binmode for the terminal.  The BusPirate restarts on the way, so
+ * the terminal starts out in HiZ mode.
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Terminal.prototype.enter = function(tx) {
+    if(this.bp.mode == 'terminal') {
+        return Promise.resolve(true);
+    }
+
+    if(!this.bp.mode || this.bp.mode == 'uart_bridge') {
+        return Promise.reject(new errors.ModeError('The terminal can only be entered from a binary mode', this.bp.mode));
+    }
+
+    return this.bp.transaction((tx) => {
+        // The BusPirate restarts into the terminal and prints its banner:
+        // let it go by, then get a fresh prompt
+        return this.bp.reset(tx)
+            .then(() => delay(RESET_TIME))
+            .then(() => this.command('', tx));
+    }, tx)
+        .then(() => {
+            this.bp.log('terminal', 'Entered the terminal');
+            this.emit('enter');
+            return true;
+        });
+};
+
+/**
+ * Leave the terminal, back to binmode
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Terminal.prototype.exit = function(tx) {
+    if(this.bp.mode != 'terminal') {
+        return Promise.resolve(false);
+    }
+
+    return this.bp.enter_binmode(tx)
+        .then(() => {
+            this.prompt = null;
+            this.bp.log('terminal', 'Back in binmode');
+            this.emit('exit');
+            return true;
+        });
+};
+
+
+/**
+ * Type a command line and wait for the next prompt.  Menus work one answer
+ * at a time: command('m') gives the mode menu and a '(1)' prompt, then
+ * command('5') picks SPI, and so on.  Resolves with
+ *    { command, output, lines, prompt }
+ * where output is everything printed between the command and the prompt,
+ * lines is the same split into lines, and prompt is eg 'SPI' for 'SPI>'.
+ * Slow commands (eg macros that scan a bus) may need a longer timeout.
+ * @param  {string} line  the command, without the return
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Terminal.prototype.command = function(line, tx) {
+    if(/[\r\n]/.test(line)) {
+        return Promise.reject(new RangeError('Send one command line at a time'));
+    }
+
+    if(this.bp.mode != 'terminal') {
+        return Promise.reject(new errors.ModeError('Enter the terminal before sending it commands', this.bp.mode));
+    }
+
+    // The terminal echoes what is typed (straight after the last prompt),
+    // then prints the output and a new prompt
+    var reply = new RegExp('(?:^|>)' + escape_regexp(line) + '\\r?\\n((?:[\\s\\S]*?\\n)?)([^\\r\\n]*)>$');
+
+    return this.bp.transaction((tx) => tx.command(line + '\r', reply), tx)
+        .then((text) => {
+            var m = reply.exec(text);
+            var output = m[1].replace(/\r?\n$/, '');
+            var result = {
+                command: line,
+                output: output,
+                lines: output ? output.split(/\r?\n/) : [],
+                prompt: m[2]
+            };
+
+            this.prompt = result.prompt;
+            this.bp.log('terminal', line + ' => ' + result.prompt + '>');
+            this.emit('command', result);
+            return result;
+        });
+};
+
+/**
+ * Type several command lines in a row, eg to answer a menu.  Resolves with
+ * a result for each, as for command().
+ * @param  {Array} lines
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Terminal.prototype.run = function(lines, tx) {
+    return this.bp.transaction((tx) => {
+        var results = [];
+
+        return lines.reduce((p, line) => {
+            return p
+                .then(() => this.command(line, tx))
+                .then((result) => { results.push(result); });
+        }, Promise.resolve())
+            .then(() => results);
+    }, tx);
+};
+
+
+/**
+ * The voltage report ('v'), parsed.  Resolves with an entry for each pin,
+ * by lower case name (gnd, 3.3v, 5.0v, adc, vpu, aux, clk, mosi, cs, miso):
+ *    { direction: 'P' (power), 'I' or 'O', value: volts, or true / false
+ *      for H / L }
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
+ */
+Terminal.prototype.pin_states = function(tx) {
+    return this.command('v', tx)
+        .then((result) => parse_pin_states(result.lines));
+};
+
+
+/*****[ Utilities ]********************************************************/
+
+/**
+ * Parse the table printed by 'v':
+ *    GND     3.3V    5.0V    ADC     VPU     AUX     CLK     MOSI    CS      MISO
+ *    P       P       P       I       I       I       I       I       I       I
+ *    GND     3.30V   5.00V   0.00V   0.00V   L       L       L       H       L
+ * @param  {Array} lines
+ * @return {Object}
+ */
+function parse_pin_states(lines) {
+    var columns = lines.map((line) => line.trim().split(/\s+/));
+    var states = {};
+
+    for(var i = 0; i + 2 < columns.length; i++) {
+        if(columns[i][0] == 'GND' && columns[i].indexOf('ADC') >= 0) {
+            columns[i].forEach((name, n) => {
+                var value = columns[i + 2][n];
+
+                states[name.toLowerCase()] = {
+                    direction: columns[i + 1][n],
+                    value: /^[\d.]+V$/.test(value) ? parseFloat(value) :
+                           (value == 'H') ? true :
+                           (value == 'L') ? false : value
+                };
+            });
+            return states;
+        }
+    }
+
+    throw new errors.UnexpectedResponseError('No pin states in the voltage report', 'pin states', lines.join('\n'));
+}
+
+function escape_regexp(text) {
+    return text.replace(/[\\^$.*+?()[\]{}|\/]/g, '\\$&');
+}
+
+Terminal.parse_pin_states = parse_pin_states;
+Terminal.RESET_TIME = RESET_TIME;
@@ -0,0 +1,215 @@
+/**
+ * Transports carry bytes between BusPirate and the hardware.  They all look
+ * like a SerialPort to the rest of the code:
+ *    events:  'open', 'data', 'error', 'close'
+ *    methods: write(data, callback), flush(callback), close(callback)
+ *
+ * Available transports:
+ *    SerialTransport  a local serial device, eg /dev/ttyUSB0
+ *    TcpTransport     a Bus Pirate shared over the network (eg ser2net)
+ *    StreamTransport  any Node.js Duplex stream
+ */
+
+var util = require('util');
+var events = require('events');
+var net = require('net');
+
+module.exports = Transport;
+
+
+/**
+ * Transport base.  Subclasses call Transport.call(this) and emit 'open' once
+ * they are ready to carry data.
+ */
+function Transport() {
+    events.EventEmitter.call(this);
+    this.isOpen = false;
+
+    this.on('open', () => { this.isOpen = true; });
+    this.on('close', () => { this.isOpen = false; });
+}
+
+// Event emitter!
+util.inherits(Transport, events.EventEmitter);
+
+Transport.prototype.write = function(data, callback) {
+    callback(new Error('Transport does not implement write'));
+};
+
+Transport.prototype.flush = function(callback) {
+    if(callback) process.nextTick(callback, null);
+};
+
+Transport.prototype.close = function(callback) {
+    if(callback) process.nextTick(callback, null);
+};
+
+
+/**
+ * Work out which transport to use for a device.  Accepts:
+ *    '/dev/ttyUSB0'                    serial device path
+ *    'tcp://host:port' or 'host:port'  TCP connection
+ *    { host: 'host', port: 2000 }      TCP connection
+ *    a Transport or SerialPort         used as is
+ *    a Duplex stream                   wrapped in a StreamTransport
+ * @param  {string|Object} device
+ * @param  {number} baud  Baud rate, only used for serial devices
+ */
+Transport.create = function(device, baud) {
+    var m;
+
+    if('string' === typeof device) {
+        m = /^(?:tcp:\/\/)?([^\/\\:]+):(\d+)$/.exec(device);
+        if(m) {
+            return new TcpTransport(m[1], parseInt(m[2], 10));
+        }
+        return new SerialTransport(device, baud);
+    }
+
+    if(device instanceof Transport) {
+        return device;
+    }
+
+    if(device && device.host && device.port && 'function' !== typeof device.write) {
+        return new TcpTransport(device.host, device.port);
+    }
+
+    // Already looks like a port (eg a SerialPort instance)
+    if(device && 'function' === typeof device.write && 'function' === typeof device.flush) {
+        return device;
+    }
+
+    if(device && 'function' === typeof device.write && 'function' === typeof device.on) {
+        return new StreamTransport(device);
+    }
+
+    throw new TypeError('Unknown BusPirate device: ' + device);
+};
+
+
+/*****[ Serial ]***********************************************************/
+
+/**
+ * Local serial port
+ * @param {string} path  eg /dev/tty.usbblah
+ * @param {number} baud  Baud rate to use. Default 115200
+ */
+function SerialTransport(path, baud) {
+    Transport.call(this);
+
+    // Loaded here so that network-only users don't need serial bindings
+    var SerialPort = require('serialport');
+
+    this.path = path;
+
+    // serialport 10 and later export the class by name, and take the path
+    // with the options
+    if(SerialPort.SerialPort) {
+        this.port = new SerialPort.SerialPort({ path: path, baudRate: baud || 115200 });
+    } else {
+        this.port = new SerialPort(path, { baudrate: baud || 115200, baudRate: baud || 115200 });
+    }
+
+    ['open', 'data', 'error', 'close'].forEach((ev) => {
+        this.port.on(ev, this.emit.bind(this, ev));
+    });
+}
+
+util.inherits(SerialTransport, Transport);
+
+SerialTransport.prototype.write = function(data, callback) {
+    return this.port.write(data, callback);
+};
+
+SerialTransport.prototype.flush = function(callback) {
+    this.port.flush(callback);
+};
+
+SerialTransport.prototype.close = function(callback) {
+    this.port.close(callback);
+};
+
+/**
+ * List the serial ports on this machine.  Resolves with what serialport
+ * reports for each, with the device path always in .path
+ */
+SerialTransport.list = function() {
+    var SerialPort = require('serialport');
+    var list = (SerialPort.SerialPort || SerialPort).list;
+
+    return new Promise((resolve, reject) => {
+        // Older serialport takes a callback, newer returns a promise
+        var p = list((err, ports) => err ? reject(err) : resolve(ports));
+        if(p && p.then) {
+            p.then(resolve, reject);
+        }
+    })
+        .then((ports) => ports.map((port) => Object.assign({ path: port.comName }, port)));
+};
+
+
+/*****[ Streams ]**********************************************************/
+
+/**
+ * Any Duplex stream.  If the stream is a socket that is still connecting,
+ * 'open' waits for the connection.
+ * @param {stream.Duplex} stream
+ */
+function StreamTransport(stream) {
+    Transport.call(this);
+
+    this.stream = stream;
+    this.path = this.path || stream.path || 'stream';
+
+    stream.on('data', (data) => this.emit('data', data));
+    stream.on('error', (err) => this.emit('error', err));
+    stream.on('close', () => {
+        if(this.isOpen) this.emit('close');
+    });
+
+    if(stream.connecting) {
+        stream.once('connect', () => this.emit('open'));
+    } else {
+        process.nextTick(() => this.emit('open'));
+    }
+}
+
+util.inherits(StreamTransport, Transport);
+
+StreamTransport.prototype.write = function(data, callback) {
+    if('string' === typeof data || data instanceof Array) {
+        data = new Buffer(data);
+    }
+    return this.stream.write(data, callback);
+};
+
+StreamTransport.prototype.close = function(callback) {
+    if(!this.isOpen) {
+        return Transport.prototype.close.call(this, callback);
+    }
+
+    if(callback) this.once('close', () => callback(null));
+
+    // Not every Duplex emits 'close' once it has ended
+    this.stream.end(() => {
+        if(this.isOpen) this.emit('close');
+    });
+};
+
+
+/**
+ * TCP connection, eg to ser2net or a socat bridge on another machine
+ * @param {string} host
+ * @param {number} port
+ */
+function TcpTransport(host, port) {
+    this.path = host + ':' + port;
+    StreamTransport.call(this, net.connect(port, host));
+}
+
+util.inherits(TcpTransport, StreamTransport);
+
+
+Transport.SerialTransport = SerialTransport;
+Transport.StreamTransport = StreamTransport;
+Transport.TcpTransport = TcpTransport;
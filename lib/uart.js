@@ -5,6 +5,9 @@
 
 var util = require('util');
 var events = require('events');
+var stream = require('stream');
+
+var errors = require('./errors');
 
 module.exports = Uart;
 
@@ -27,16 +30,17 @@ function Uart(buspirate) {
         MODE_ACK: 'ART1'
     };
 
-    this.bp.on('receive', (data) => {
-        // Handle incoming data if in UART mode
+    // Data that isn't a reply to a command came from the UART
+    this.bp.on('unclaimed', (data) => {
         if(this.started) {
             this.emit('data', data);
         }
     });
 
     this.bp.on('mode', (m) => {
-        if(m != this.constants.MODE_NAME) {
+        if(m != this.constants.MODE_NAME && this.started) {
             this.started = false;
+            this.emit('stop');
         }
     });
 }
@@ -49,23 +53,28 @@ util.inherits(Uart, events.EventEmitter);
  * Call .start() to change the buspirate mode and begin Uart
  * It changes mode and then sets the UART options
  * @param  {array} options options to pass on to setopts
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
  */
-Uart.prototype.start = function(options) {
-    return this.bp.switch_mode(this.constants)
-        .then((mode) => {
-            if(mode == this.constants.MODE_NAME) {
-                this.started = true;
-                return this.setopts(options);
-            } else if(mode == 'uart_bridge') {
-                this.started = true;
-                this.emit('ready');
-                return true;
-            } else {
-                return false;
-            }
-        })
+Uart.prototype.start = function(options, tx) {
+    return this.bp.transaction((tx) => {
+        return this.bp.switch_mode(this.constants, tx)
+            .then((mode) => {
+                if(mode == this.constants.MODE_NAME) {
+                    this.started = true;
+                    return this.setopts(options, tx);
+                } else if(mode == 'uart_bridge') {
+                    this.started = true;
+                    this.emit('ready');
+                    return true;
+                } else {
+                    return false;
+                }
+            });
+    }, tx)
         .catch((err) => {
             this.bp.log('error', err);
+            throw err;
         });
 };
 
@@ -85,15 +94,17 @@ uart_defaults = {
 /**
  * Setopts sets up the BusPirate as required, emitting 'ready' when done
  * @param  {array} options To override the defaults above
+ * @param  {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                  or {timeout, signal} for a new one
  */
-Uart.prototype.setopts = function(options) {
+Uart.prototype.setopts = function(options, tx) {
     var opts = {};
     var data_par = 0;
     options = options || {};
 
     // Must be started first
     if(!this.started) {
-        return this.start(options);
+        return this.start(options, tx);
     }
 
     // Parse options
@@ -124,17 +135,18 @@ Uart.prototype.setopts = function(options) {
     var config = 0x80 | w | xx | y | z;
     var err = false;
 
-    return this.bp.write(baudcmd)
-        .then(() => this.bp.expect(0x01))
-        .then(() => this.bp.write(config))
-        .then(() => this.bp.expect(0x1))
+    return this.bp.transaction((tx) => {
+        return tx.command(baudcmd, 0x01)
+            .then(() => tx.command(config, 0x01));
+    }, tx)
         .then(() => {
             this.emit('ready');
             this.bp.log('uart', 'Started, baud: ' + opts.baudrate);
             return true;
         })
         .catch((err) => {
-            this.bp.emit('error', err);
+            this.bp.log('error', err);
+            throw err;
         });
 };
 
@@ -142,18 +154,27 @@ Uart.prototype.setopts = function(options) {
 /*****[ Uart operations routines ]******************************************/
 
 /**
- * Set RX echoing.  Disabled by default so that rec codes aren't corrupted
+ * Set RX echoing.  Disabled by default so that rec codes aren't corrupted.
+ * While it's on, received data is picked out from around each one byte
+ * reply, but a received 0x01 that arrives just before an acknowledgement
+ * can't be told apart from it: configure the UART with echo off, as the
+ * firmware docs advise
  * @param {bool} on Whether to enable it or not
+ * @param {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                 or {timeout, signal} for a new one
  */
-Uart.prototype.echo_rx = function(on) {
+Uart.prototype.echo_rx = function(on, tx) {
     var code = (on) ? 0x02 : 0x03;
 
     if(this.bp.mode == 'uart_bridge') {
         return Promise.resolve(true);
     }
 
-    return this.bp.write(code)
-        .then(() => this.bp.expect(0x01))
+    if(!this.started) {
+        return Promise.reject(new errors.ModeError('Uart must be started before setting RX echo', this.bp.mode));
+    }
+
+    return this.bp.command(code, 0x01, tx)
         .then(() => {
             this.bp.log('uart', 'RX echo is now: ' + on);
             this.echo_rx_on = on;
@@ -165,13 +186,15 @@ Uart.prototype.echo_rx = function(on) {
 
 /**
  * Start uart bridge mode.  The only way to exit is to unplug the buspirate
+ * @param {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                 or {timeout, signal} for a new one
  */
-Uart.prototype.uart_bridge = function() {
+Uart.prototype.uart_bridge = function(tx) {
     if(this.bp.mode == 'uart_bridge') {
         return Promise.resolve(true);
     }
 
-    return this.bp.write(0x0f)
+    return this.bp.transaction((tx) => tx.write(0x0f), tx)
         .then(() => {
             this.bp.log('info', 'Uart bridge started - disconnect BP to reset');
             this.bp.mode = 'uart_bridge';
@@ -183,17 +206,19 @@ Uart.prototype.uart_bridge = function() {
 
 /**
  * Write a block of 1-16 bytes to the Uart connection
+ * @param {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                 or {timeout, signal} for a new one
  */
-Uart.prototype.write_block = function(buffer) {
+Uart.prototype.write_block = function(buffer, tx) {
     var test = [];
     var lenbyte = 0x10 + buffer.length - 1;
 
     if(buffer.length > 16) {
-        return new Error('Cannot send more than 16 bytes at once');
+        return Promise.reject(new Error('Cannot send more than 16 bytes at once'));
     }
 
     if(!this.started) {
-        return new Error('Uart must be started before writing');
+        return Promise.reject(new errors.ModeError('Uart must be started before writing', this.bp.mode));
     }
 
     // Build an array to wait for.  Basically a bunch of 0x01s
@@ -201,39 +226,134 @@ Uart.prototype.write_block = function(buffer) {
         test.push(0x01);
     }
 
-    return this.bp.write(lenbyte)
-        .then(() => this.bp.expect(0x1))
-        .then(() => this.bp.write(buffer))
-        .then(() => this.bp.expect(test));
+    return this.bp.transaction((tx) => {
+        // With RX echo on, each byte goes in a block of its own, so that
+        // every reply is a single byte that can be found among the data
+        if(this.echo_rx_on && buffer.length > 1) {
+            var p = Promise.resolve();
+
+            Array.from(new Buffer(buffer)).forEach((byte) => {
+                p = p.then(() => tx.command(0x10, 0x01))
+                    .then(() => tx.command(byte, 0x01));
+            });
+            return p.then(() => new Buffer(test));
+        }
+
+        return tx.command(lenbyte, 0x01)
+            .then(() => tx.command(buffer, test));
+    }, tx)
+        .then((reply) => {
+            // Sent on the bus, for anyone capturing the traffic
+            this.emit('transmit', Buffer.isBuffer(buffer) ? buffer : new Buffer(buffer));
+            return reply;
+        });
 };
 
-Uart.prototype.write = function(buffer) {
-    function chunkSubstr(str, size) {
-        var numChunks = Math.ceil(str.length / size);
+/**
+ * Write any amount of data, 16 bytes at a time.  The whole write is a single
+ * transaction, so it won't be interleaved with other commands.
+ * @param {string|Buffer} buffer  the data to write
+ * @param {Transaction|Object} tx  Optional - run inside this transaction,
+ *                                 or {timeout, signal} for a new one
+ */
+Uart.prototype.write = function(buffer, tx) {
+    function chunkSlice(buf, size) {
+        var numChunks = Math.ceil(buf.length / size);
         var chunks = new Array(numChunks);
 
         for(var i = 0, o = 0; i < numChunks; ++i, o += size) {
-            chunks[i] = str.substr(o, size);
+            chunks[i] = buf.slice(o, o + size);
         }
 
         return chunks;
     }
 
-    if(this.bp.mode == 'uart_bridge') {
-        return this.bp.write(buffer);
-    } else {
-        var chunks = chunkSubstr(buffer, 16);
-        console.log("CHUNKS ", chunks);
+    // Chunk by bytes, not characters
+    if(!Buffer.isBuffer(buffer)) {
+        buffer = new Buffer(buffer);
+    }
+
+    return this.bp.transaction((tx) => {
+        if(this.bp.mode == 'uart_bridge') {
+            return tx.write(buffer)
+                .then(() => {
+                    // Sent on the bus, as for write_block
+                    this.emit('transmit', buffer);
+                    return true;
+                });
+        }
 
+        var chunks = chunkSlice(buffer, 16);
         var p = Promise.resolve(true);
 
         chunks.forEach((chunk) => {
-            p = p.then(() => this.write_block(chunk));
+            p = p.then(() => this.write_block(chunk, tx));
         });
 
         return p;
-    }
+    }, tx);
+
+};
+
+
+/**
+ * Create a Duplex stream on top of the Uart, eg to pipe it to
+ * process.stdout or a socket.  The Uart must be started first.
+ * @param  {Object} options  Optional - passed on to stream.Duplex
+ */
+Uart.prototype.create_stream = function(options) {
+    return new UartStream(this, options);
+};
+
+
+/*****[ Stream ]************************************************************/
+
+/**
+ * UartStream - the Uart as a Duplex stream.  Writes go through Uart.write
+ * (16 byte blocks in binary mode, straight through in bridge mode), and
+ * each one completes when the BusPirate has acknowledged it, which gives
+ * writers backpressure.  Received data is pushed as it arrives; the device
+ * can't be paused, so a slow reader just lets it buffer up.  The readable
+ * side ends when UART mode is left or the BusPirate closes.
+ * @param {Uart} uart
+ * @param {Object} options  Optional - passed on to stream.Duplex
+ */
+function UartStream(uart, options) {
+    stream.Duplex.call(this, options);
+
+    this.uart = uart;
+    this.ondata = (data) => this.push(data);
+    this.uart.on('data', this.ondata);
+
+    // Nothing more can arrive once UART mode is left or the port closes
+    this.onend = () => {
+        this.detach();
+        this.push(null);
+    };
+    this.uart.on('stop', this.onend);
+    this.uart.bp.on('close', this.onend);
+}
+
+util.inherits(UartStream, stream.Duplex);
+
+UartStream.prototype._write = function(chunk, encoding, callback) {
+    this.uart.write(chunk)
+        .then(() => callback(), callback);
+};
+
+UartStream.prototype._read = function(size) {
+    // Data is pushed as it arrives
+};
+
+UartStream.prototype._destroy = function(err, callback) {
+    this.detach();
+    callback(err);
+};
 
+UartStream.prototype.detach = function() {
+    this.uart.removeListener('data', this.ondata);
+    this.uart.removeListener('stop', this.onend);
+    this.uart.bp.removeListener('close', this.onend);
 };
 
-// TODO: Make uart a Stream
+Uart.UartStream = UartStream;
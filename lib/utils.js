@@ -0,0 +1,16 @@
+/**
+ * Small helpers shared by BusPirate and the mode modules
+ */
+
+module.exports = {
+    delay: delay
+};
+
+
+/**
+ * Promise that resolves after ms milliseconds
+ * @param  {number} ms
+ */
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
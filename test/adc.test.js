@@ -0,0 +1,91 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+var helper = require('./helper');
+
+
+describe('Adc', () => {
+    var pirate, emu;
+    var probe = 3.3;
+
+    before(() => helper.connect({ adc: () => probe }).then((c) => {
+        pirate = c.pirate;
+        emu = c.emu;
+    }));
+
+    after(() => pirate.close());
+
+    it('read() measures the probe once', () => {
+        return pirate.adc.read()
+            .then((volts) => assert.equal(volts, 3.3));
+    });
+
+    it('read() needs binmode', () => {
+        return pirate.spi.start({})
+            .then(() => assert.rejects(pirate.adc.read(), BusPirate.errors.ModeError))
+            .then(() => pirate.enter_binmode());
+    });
+
+    it('holds the queue while measuring continuously, and lets it go on stop()', () => {
+        var samples = [];
+        var queued = null;
+        var done = false;
+
+        pirate.adc.on('sample', (volts) => samples.push(volts));
+
+        return pirate.adc.start()
+            .then(() => {
+                assert.equal(pirate.adc.running, true);
+                queued = pirate.pins.read().then((state) => {
+                    done = true;
+                    return state;
+                });
+                return new Promise((resolve) => setTimeout(resolve, 50));
+            })
+            .then(() => {
+                assert.ok(samples.length > 0);
+                assert.equal(samples[0], 3.3);
+
+                // Still waiting for the ADC
+                assert.equal(done, false);
+                return pirate.adc.stop();
+            })
+            .then((stopped) => {
+                assert.equal(stopped, true);
+                assert.equal(pirate.adc.running, false);
+                assert.equal(emu.adc_timer, null);
+                return queued;
+            })
+            .then((state) => {
+                assert.equal(state.power, false);
+                pirate.adc.removeAllListeners('sample');
+            });
+    });
+
+    it('samples() measures until the loop ends', () => {
+        var seen = [];
+
+        probe = 1.65;
+
+        var loop = async () => {
+            for await (var volts of pirate.adc.samples()) {
+                seen.push(volts);
+                if(seen.length == 3) {
+                    break;
+                }
+            }
+        };
+
+        return loop()
+            .then(() => {
+                assert.deepEqual(seen, [1.65, 1.65, 1.65]);
+                assert.equal(pirate.adc.running, false);
+                return pirate.adc.read();
+            })
+            .then((volts) => assert.equal(volts, 1.65));
+    });
+});
@@ -0,0 +1,63 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var helper = require('./helper');
+
+
+describe('BusPirate', () => {
+    var pirate, emu;
+
+    before(() => helper.connect().then((c) => {
+        pirate = c.pirate;
+        emu = c.emu;
+    }));
+
+    after(() => pirate.close());
+
+    it('connects in binmode', () => {
+        assert.equal(pirate.mode, 'binmode');
+        assert.equal(emu.mode, 'binmode');
+        assert.ok(pirate.connected);
+    });
+
+    it('enter_binmode() gets back to binmode from a bus mode', () => {
+        return pirate.spi.start({})
+            .then(() => pirate.enter_binmode())
+            .then(() => {
+                assert.equal(pirate.mode, 'binmode');
+                assert.equal(emu.mode, 'binmode');
+            });
+    });
+
+    it('config_periph() sets the peripherals in a bus mode', () => {
+        var seen = [];
+        var onconfig = (mode, code) => seen.push(code);
+
+        return pirate.spi.start({})
+            .then(() => {
+                emu.on('config', onconfig);
+                return pirate.config_periph({ power: true, cs: true });
+            })
+            .then(() => {
+                emu.removeListener('config', onconfig);
+                assert.deepEqual(seen, [0x49]);
+                return pirate.enter_binmode();
+            });
+    });
+
+    it('config_periph() drives AUX and CS in binmode', () => {
+        return pirate.config_periph({ aux: true, cs: true })
+            .then(() => pirate.pins.read())
+            .then((state) => {
+                assert.equal(pirate.pins.directions.aux, 'out');
+                assert.equal(pirate.pins.directions.cs, 'out');
+                assert.equal(state.aux, true);
+                assert.equal(state.cs, true);
+                assert.equal(state.mosi, false);
+                return pirate.config_periph({});
+            });
+    });
+});
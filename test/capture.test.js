@@ -0,0 +1,41 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var BusPirate = require('..');
+var helper = require('./helper');
+
+
+describe('Capture', () => {
+    it('exports PCAP packets in time order', () => {
+        var records = [
+            { time: 2000.5, bus: 'spi', direction: 'mosi', data: new Buffer([0x9f]) },
+            { time: 1000.25, bus: 'uart', direction: 'rx', data: new Buffer('a') }
+        ];
+        var pcap = BusPirate.Capture.pcap(records);
+
+        // First packet, after the 24 byte header: 1.00025s, UART RX
+        assert.equal(pcap.readUInt32LE(24), 1);
+        assert.equal(pcap.readUInt32LE(28), 250);
+        assert.deepEqual(Array.from(pcap.slice(40, 43)), [0x02, 0x01, 0x61]);
+
+        // Then the SPI one
+        assert.equal(pcap.readUInt32LE(43), 2);
+        assert.deepEqual(Array.from(pcap.slice(59, 62)), [0x01, 0x00, 0x9f]);
+    });
+
+    it('captures UART transmissions in bridge mode', () => {
+        return helper.connect().then((c) => {
+            var capture = new BusPirate.Capture(c.pirate);
+
+            return c.pirate.uart.start({})
+                .then(() => c.pirate.uart.uart_bridge())
+                .then(() => c.pirate.uart.write('hi'))
+                .then(() => {
+                    capture.stop();
+                    assert.deepEqual(capture.records.map((r) => [r.direction, r.data.toString()]), [['tx', 'hi']]);
+                    return c.pirate.close();
+                });
+        });
+    });
+});
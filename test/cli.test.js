@@ -0,0 +1,123 @@
+var assert = require('assert');
+var path = require('path');
+var child_process = require('child_process');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var helper = require('./helper');
+
+var BIN = path.join(__dirname, '..', 'bin', 'buspirate');
+
+
+/**
+ * Run the command-line tool.  Resolves with { code, stdout, stderr }.
+ */
+function buspirate(args) {
+    var env = Object.assign({}, process.env);
+
+    delete env.BUSPIRATE_DEVICE;
+
+    return new Promise((resolve) => {
+        child_process.execFile(process.execPath, ['--no-deprecation', BIN].concat(args), { env: env, timeout: 20000 }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout: stdout, stderr: stderr });
+        });
+    });
+}
+
+
+describe('buspirate command line', () => {
+    it('prints the usage', () => {
+        return buspirate(['--help'])
+            .then((res) => {
+                assert.equal(res.code, 0);
+                assert.match(res.stdout, /^Usage: buspirate \[options\] <command> \[args\]/);
+                return buspirate([]);
+            })
+            .then((res) => {
+                assert.equal(res.code, 1);
+                assert.match(res.stdout, /^Usage:/);
+            });
+    });
+
+    it('checks the arguments before connecting', () => {
+        return Promise.all([
+            buspirate(['-d', '127.0.0.1:1', 'spi', 'frob']),
+            buspirate(['spi', 'xfer', '9f']),
+            buspirate(['-d', '127.0.0.1:1', 'uart', 'monitor', '--baud']),
+            buspirate(['-d', '127.0.0.1:1', '--format', 'binary', 'spi', 'xfer', '9f'])
+        ])
+            .then((results) => {
+                results.forEach((res) => assert.equal(res.code, 1));
+                assert.equal(results[0].stderr, 'buspirate: Unknown command: spi frob (see --help)\n');
+                assert.equal(results[1].stderr, 'buspirate: No device: use --device or set BUSPIRATE_DEVICE\n');
+                assert.equal(results[2].stderr, 'buspirate: Option --baud needs a value\n');
+                assert.equal(results[3].stderr, 'buspirate: --format must be one of hex, ascii, json\n');
+            });
+    });
+});
+
+describe('buspirate against the emulator', () => {
+    var server, device;
+
+    before(() => {
+        server = new helper.EmulatorServer({ spi: (mosi) => mosi ^ 0xff });
+        return server.listen().then((port) => {
+            device = '127.0.0.1:' + port;
+        });
+    });
+
+    after(() => server.close());
+
+    it('spi xfer prints what was read', () => {
+        return buspirate(['-d', device, 'spi', 'xfer', '9f', '0x00'])
+            .then((res) => {
+                assert.equal(res.stderr, '');
+                assert.equal(res.code, 0);
+                assert.equal(res.stdout, '60 ff\n');
+                return buspirate(['--device=' + device, '-f', 'json', 'spi', 'xfer', '9f00']);
+            })
+            .then((res) => {
+                assert.equal(res.code, 0);
+                assert.deepEqual(JSON.parse(res.stdout), { mosi: '9f00', miso: '60ff' });
+            });
+    });
+
+    it('spi xfer rejects bytes that aren\'t hex', () => {
+        return buspirate(['-d', device, 'spi', 'xfer', '9g'])
+            .then((res) => {
+                assert.equal(res.code, 1);
+                assert.equal(res.stderr, 'buspirate: Not hex bytes: 9g\n');
+            });
+    });
+
+    it('periph sets the peripherals and leaves them set', () => {
+        return buspirate(['-d', device, 'periph', '--power', '--aux', '--cs-pin'])
+            .then((res) => {
+                var emu = server.emulators[server.emulators.length - 1];
+
+                assert.equal(res.stderr, '');
+                assert.equal(res.code, 0);
+                assert.equal(emu.mode, 'binmode');
+                assert.equal(emu.pin_levels, 0x51);
+                assert.equal(emu.pin_dirs & 0x11, 0);
+            });
+    });
+});
+
+describe('buspirate periph', () => {
+    it('fails when AUX or CS doesn\'t follow', () => {
+        // Something else holds CS low
+        var server = new helper.EmulatorServer({ forced: (name) => (name == 'cs') ? false : undefined });
+
+        return server.listen()
+            .then((port) => buspirate(['-d', '127.0.0.1:' + port, 'periph', '--aux', '--cs-pin']))
+            .then((res) => {
+                return server.close().then(() => {
+                    assert.equal(res.code, 1);
+                    assert.equal(res.stderr, 'buspirate: Could not set cs: is something else driving it?\n');
+                });
+            });
+    });
+});
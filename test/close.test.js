@@ -0,0 +1,72 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var helper = require('./helper');
+
+
+describe('BusPirate.reset()', () => {
+    it('goes back to the terminal and leaves the port open', () => {
+        return helper.connect().then((c) => {
+            return c.pirate.reset()
+                .then(() => {
+                    assert.equal(c.pirate.mode, 'terminal');
+                    assert.equal(c.emu.mode, 'terminal');
+                    assert.equal(c.emu.isOpen, true);
+                    return c.pirate.terminal.exit();
+                })
+                .then(() => {
+                    assert.equal(c.pirate.mode, 'binmode');
+                    return c.pirate.close();
+                });
+        });
+    });
+});
+
+describe('BusPirate.close()', () => {
+    it('resets the device and closes the port', () => {
+        return helper.connect().then((c) => {
+            var closed = false;
+
+            c.pirate.on('close', () => { closed = true; });
+
+            return c.pirate.spi.start({})
+                .then(() => c.pirate.close())
+                .then(() => {
+                    assert.ok(closed);
+                    assert.equal(c.emu.mode, 'terminal');
+                    assert.equal(c.emu.isOpen, false);
+                    assert.equal(c.pirate.connected, false);
+                    return assert.rejects(c.pirate.spi.write_read([0x01]));
+                });
+        });
+    });
+
+    it('leaves the device as it is when asked to', () => {
+        return helper.connect().then((c) => {
+            return c.pirate.spi.start({})
+                .then(() => c.pirate.close({ reset: false }))
+                .then(() => {
+                    assert.equal(c.emu.mode, 'spi');
+                    assert.equal(c.emu.isOpen, false);
+                });
+        });
+    });
+});
+
+describe('signal handling', () => {
+    it('is opt-in', () => {
+        var before = process.listeners('SIGINT').length;
+
+        return helper.connect().then((c) => {
+            assert.equal(process.listeners('SIGINT').length, before);
+            return c.pirate.close();
+        })
+            .then(() => helper.connect({}, { handle_signals: true }))
+            .then((c) => {
+                assert.equal(process.listeners('SIGINT').length, before + 1);
+                return c.pirate.close();
+            })
+            .then(() => assert.equal(process.listeners('SIGINT').length, before));
+    });
+});
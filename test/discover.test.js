@@ -0,0 +1,73 @@
+var assert = require('assert');
+var stream = require('stream');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var BusPirate = require('..');
+var Transport = require('../lib/transport');
+
+
+// A Duplex that answers every write with reply(data)
+function device(reply) {
+    var duplex = new stream.Duplex({
+        read: () => {},
+        write: (data, encoding, callback) => {
+            var answer = reply(data);
+            if(answer) {
+                setImmediate(() => duplex.push(answer));
+            }
+            callback();
+        }
+    });
+
+    return duplex;
+}
+
+describe('discover.probe', () => {
+    it('reads the info banner from a Bus Pirate', () => {
+        var emu = new BusPirate.Emulator();
+        var duplex = device((data) => {
+            emu.write(data);
+        });
+        emu.on('data', (data) => duplex.push(data));
+
+        var transport = new Transport.StreamTransport(duplex);
+
+        return new Promise((resolve) => transport.once('open', resolve))
+            .then(() => BusPirate.discover.probe(transport))
+            .then((info) => {
+                assert.equal(info.hardware, '3.b');
+                assert.equal(info.firmware, '5.10');
+                assert.equal(transport.isOpen, false);
+            });
+    });
+
+    it('resolves with null for anything else', () => {
+        var transport = new Transport.StreamTransport(device(() => 'ERROR\r\n'));
+
+        return new Promise((resolve) => transport.once('open', resolve))
+            .then(() => BusPirate.discover.probe(transport, 100))
+            .then((info) => {
+                assert.strictEqual(info, null);
+                assert.equal(transport.isOpen, false);
+            });
+    });
+
+    it('survives errors while closing', () => {
+        var transport = new Transport.StreamTransport(device(() => null));
+
+        // As when the USB adapter is pulled out
+        transport.close = function(callback) {
+            this.emit('error', new Error('Device not configured'));
+            this.isOpen = false;
+            callback(null);
+        };
+
+        return new Promise((resolve) => transport.once('open', resolve))
+            .then(() => BusPirate.discover.probe(transport, 50))
+            .then((info) => {
+                assert.strictEqual(info, null);
+                assert.equal(transport.listeners('error').length, 0);
+            });
+    });
+});
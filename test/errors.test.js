@@ -0,0 +1,48 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+var helper = require('./helper');
+
+
+describe('BusPirate errors', () => {
+    var pirate;
+
+    before(() => helper.connect().then((c) => {
+        pirate = c.pirate;
+    }));
+
+    after(() => pirate.close());
+
+    it('rejects with a TimeoutError when the device doesn\'t answer', () => {
+        return assert.rejects(pirate.expect('XXXX', { timeout: 50 }), BusPirate.errors.TimeoutError);
+    });
+
+    it('rejects with an UnexpectedResponseError when the device answers something else', () => {
+        return assert.rejects(pirate.command(0x00, 'XXXX'), (err) => {
+            assert.ok(err instanceof BusPirate.errors.UnexpectedResponseError);
+            assert.equal(err.received.toString(), 'BBIO1');
+            return true;
+        });
+    });
+
+    it('rejects with a ModeError when the mode isn\'t started', () => {
+        return assert.rejects(pirate.spi.write_read([0x00]), (err) => {
+            assert.ok(err instanceof BusPirate.errors.ModeError);
+            assert.equal(err.mode, 'binmode');
+            return true;
+        });
+    });
+
+    it('rejects with an AbortError when the signal fires', () => {
+        var controller = new AbortController();
+        var p = pirate.transaction((tx) => tx.expect('XXXX'), { signal: controller.signal });
+
+        setTimeout(() => controller.abort(), 10);
+        return assert.rejects(p, BusPirate.errors.AbortError)
+            .then(() => assert.equal(pirate.waiters.length, 0));
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Shared test setup: BusPirates connected to the emulator
+ */
+
+var net = require('net');
+
+var BusPirate = require('..');
+
+module.exports = {
+    connect: connect,
+    EmulatorServer: EmulatorServer
+};
+
+
+/**
+ * A BusPirate connected to an emulator.  Resolves with { pirate, emu } once
+ * the BusPirate has reached binmode.
+ * @param  {Object} hooks  Optional - emulator device hooks
+ * @param  {Object} options  Optional - BusPirate options
+ */
+function connect(hooks, options) {
+    var emu = new BusPirate.Emulator(hooks);
+    var pirate = new BusPirate(emu, options || {});
+
+    return new Promise((resolve, reject) => {
+        pirate.once('connected', () => resolve({ pirate: pirate, emu: emu }));
+        pirate.once('error', reject);
+    });
+}
+
+
+/**
+ * An emulator shared over TCP, like ser2net.  Each connection gets a fresh
+ * emulator, as if the Bus Pirate had been unplugged and plugged back in.
+ * @param {Object} hooks  Optional - emulator device hooks
+ */
+function EmulatorServer(hooks) {
+    this.sockets = [];
+    this.emulators = [];
+    this.server = net.createServer((sock) => {
+        var emu = new BusPirate.Emulator(hooks);
+
+        emu.on('data', (data) => sock.write(data));
+        sock.on('data', (data) => emu.write(data));
+        sock.on('close', () => emu.close());
+        sock.on('error', () => {});
+
+        this.sockets.push(sock);
+        this.emulators.push(emu);
+    });
+}
+
+/**
+ * Start listening on the loopback interface.  Resolves with the port.
+ * @param  {number} port  Optional - default any free port
+ */
+EmulatorServer.prototype.listen = function(port) {
+    return new Promise((resolve) => this.server.listen(port || 0, '127.0.0.1', () => resolve(this.server.address().port)));
+};
+
+// Drop everyone, as if the device went away
+EmulatorServer.prototype.drop = function() {
+    this.sockets.forEach((sock) => sock.destroy());
+    this.sockets = [];
+};
+
+EmulatorServer.prototype.close = function() {
+    this.drop();
+    return new Promise((resolve) => this.server.close(resolve));
+};
@@ -0,0 +1,62 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+var helper = require('./helper');
+
+
+/**
+ * A 24C02-like EEPROM at 0x50: write the address, then read from it
+ */
+function eeprom() {
+    var memory = [0xde, 0xad, 0xbe, 0xef];
+    var first = false;
+    var pointer = 0;
+
+    return {
+        start: () => { first = true; },
+        write: (byte) => {
+            if(first) {
+                first = false;
+                return (byte >> 1) == 0x50;
+            }
+            pointer = byte;
+            return true;
+        },
+        read: () => memory[pointer++]
+    };
+}
+
+
+describe('I2c', () => {
+    var pirate;
+
+    before(() => helper.connect({ i2c: eeprom() }).then((c) => {
+        pirate = c.pirate;
+        return pirate.i2c.start({ speed: 100 });
+    }));
+
+    after(() => pirate.close());
+
+    it('write_read() writes the register and reads it back', () => {
+        return pirate.i2c.write_read(0x50, [0x01], 2)
+            .then((data) => assert.deepEqual(Array.from(data), [0xad, 0xbe]));
+    });
+
+    it('write_read() rejects when nothing answers', () => {
+        return assert.rejects(pirate.i2c.write_read(0x51, [0x00], 1), (err) => {
+            assert.ok(err instanceof BusPirate.errors.UnexpectedResponseError);
+            assert.deepEqual(err.expected, new Buffer([0x00]));
+            assert.deepEqual(err.received, new Buffer([0x01]));
+            return true;
+        });
+    });
+
+    it('scan() finds the devices on the bus', () => {
+        return pirate.i2c.scan()
+            .then((addresses) => assert.deepEqual(addresses, [0x50]));
+    });
+});
@@ -0,0 +1,66 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+var helper = require('./helper');
+
+
+describe('BusPirate info', () => {
+    var pirate;
+
+    before(() => helper.connect().then((c) => {
+        pirate = c.pirate;
+    }));
+
+    after(() => pirate.close());
+
+    it('reads the info banner on the way', () => {
+        assert.equal(pirate.info.hardware, '3.b');
+        assert.equal(pirate.info.firmware, '5.10');
+    });
+
+    it('read_info() leaves nothing behind for the next command', () => {
+        return pirate.reset()
+            .then(() => pirate.read_info())
+            .then((info) => {
+                assert.equal(info.firmware, '5.10');
+                assert.equal(pirate.data_buffer.length, 0);
+                return pirate.terminal.exit();
+            });
+    });
+});
+
+describe('BusPirate info in a UART bridge', () => {
+    it('fails without sending anything to the target', () => {
+        var sent = [];
+
+        return helper.connect({ uart: (data) => sent.push(data) })
+            .then((c) => c.pirate.uart.start({})
+                .then(() => c.pirate.uart.uart_bridge())
+                .then(() => c.pirate.read_info())
+                .then(() => assert.fail('read_info() worked in a bridge'), (err) => {
+                    assert.ok(err instanceof BusPirate.errors.ModeError);
+                    assert.equal(err.mode, 'uart_bridge');
+                    assert.deepEqual(sent, []);
+                    return c.pirate.close();
+                }));
+    });
+});
+
+describe('BusPirate connecting', () => {
+    it('lets the console reset finish before reading the info banner', () => {
+        var pirate = new BusPirate(new BusPirate.Emulator());
+
+        return new Promise((resolve) => {
+            pirate.once('info', () => setImmediate(() => resolve(pirate.data_buffer.toString())));
+        })
+            .then((left) => {
+                assert.equal(left, '');
+                return new Promise((resolve) => pirate.once('connected', resolve));
+            })
+            .then(() => pirate.close());
+    });
+});
@@ -0,0 +1,54 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var OneWire = require('../lib/onewire');
+var helper = require('./helper');
+
+
+/**
+ * A ROM ID with the family code and serial given, and its CRC
+ */
+function rom(family, serial) {
+    var id = [family].concat(serial);
+    return new Buffer(id.concat([OneWire.crc8(id)]));
+}
+
+
+describe('OneWire', () => {
+    var pirate;
+    var written = [];
+    var roms = [rom(0x28, [1, 2, 3, 4, 5, 6]), rom(0x28, [6, 5, 4, 3, 2, 1])];
+
+    before(() => helper.connect({
+        onewire: {
+            roms: roms,
+            write: (byte) => written.push(byte),
+            read: () => 0x5a
+        }
+    }).then((c) => {
+        pirate = c.pirate;
+        return pirate.onewire.start({});
+    }));
+
+    after(() => pirate.close());
+
+    it('search() finds every ROM ID', () => {
+        return pirate.onewire.search()
+            .then((found) => assert.deepEqual(found, roms));
+    });
+
+    it('match_rom() resets the bus and addresses one device', () => {
+        written.length = 0;
+
+        return pirate.onewire.match_rom(roms[1])
+            .then(() => assert.deepEqual(written, [0x55].concat(Array.from(roms[1]))));
+    });
+
+    it('read() reads bytes from the bus', () => {
+        return pirate.onewire.read(2)
+            .then((data) => assert.deepEqual(Array.from(data), [0x5a, 0x5a]));
+    });
+});
@@ -0,0 +1,70 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+var helper = require('./helper');
+
+
+describe('Pins', () => {
+    var pirate, emu;
+    var inputs = { miso: false };
+
+    before(() => helper.connect({ pins: (name) => inputs[name] }).then((c) => {
+        pirate = c.pirate;
+        emu = c.emu;
+    }));
+
+    after(() => pirate.close());
+
+    it('keeps inputs that read low as inputs', () => {
+        var states = [];
+        var onstate = (state) => states.push(state);
+
+        pirate.pins.on('state', onstate);
+
+        return pirate.pins.direction({ cs: 'out' })
+            .then((dirs) => {
+                assert.deepEqual(dirs, { aux: 'in', mosi: 'in', clk: 'in', miso: 'in', cs: 'out' });
+                return pirate.pins.direction({ aux: 'out' });
+            })
+            .then((dirs) => {
+                pirate.pins.removeListener('state', onstate);
+                assert.deepEqual(dirs, { aux: 'out', mosi: 'in', clk: 'in', miso: 'in', cs: 'out' });
+
+                // Only AUX and CS are driven
+                assert.equal(emu.pin_dirs, 0x0e);
+                assert.equal(states.length, 2);
+                assert.equal(states[1].miso, false);
+                assert.equal(states[1].power, false);
+            });
+    });
+
+    it('reads inputs and drives outputs', () => {
+        inputs.miso = true;
+
+        return pirate.pins.write({ cs: true, power: true })
+            .then((state) => {
+                assert.equal(state.cs, true);
+                assert.equal(state.aux, false);
+                assert.equal(state.miso, true);
+                assert.equal(state.power, true);
+                return pirate.pins.direction({ miso: 'in' });
+            })
+            .then((dirs) => {
+                assert.equal(dirs.miso, 'in');
+                assert.equal(dirs.cs, 'out');
+                return pirate.pins.write({ cs: false, power: false });
+            });
+    });
+
+    it('rejects bad pins and needs binmode', () => {
+        return assert.rejects(pirate.pins.direction({ power: 'out' }), RangeError)
+            .then(() => assert.rejects(pirate.pins.write({ vpu: true }), RangeError))
+            .then(() => pirate.spi.start({}))
+            .then(() => assert.rejects(pirate.pins.read(), BusPirate.errors.ModeError))
+            .then(() => pirate.enter_binmode());
+    });
+});
@@ -0,0 +1,112 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+var Pwm = require('../lib/pwm');
+var helper = require('./helper');
+
+
+describe('Pwm.pwm_registers()', () => {
+    it('uses the smallest prescaler that fits', () => {
+        assert.deepEqual(Pwm.pwm_registers(1000, 0.5),
+            { frequency: 1000, dutyCycle: 8000 / 15999, prescaler: 0, period: 15999, duty: 8000 });
+        assert.deepEqual(Pwm.pwm_registers(100, 0.25),
+            { frequency: 100, dutyCycle: 5000 / 19999, prescaler: 1, period: 19999, duty: 5000 });
+    });
+
+    it('reaches down to the longest period with the largest prescaler', () => {
+        var lowest = 16000000 / (256 * 65536);
+        var regs = Pwm.pwm_registers(lowest, 0.5);
+
+        assert.equal(regs.prescaler, 3);
+        assert.equal(regs.period, 0xffff);
+        assert.equal(regs.frequency, lowest);
+        assert.throws(() => Pwm.pwm_registers(0.9, 0.5), RangeError);
+    });
+
+    it('reaches up to FCY / 2', () => {
+        var regs = Pwm.pwm_registers(8000000, 0.5);
+
+        assert.equal(regs.prescaler, 0);
+        assert.equal(regs.period, 1);
+        assert.equal(regs.frequency, 8000000);
+        assert.throws(() => Pwm.pwm_registers(16000000, 0.5), RangeError);
+    });
+
+    it('handles duty cycles of 0 and 1', () => {
+        var off = Pwm.pwm_registers(1000, 0);
+        var on = Pwm.pwm_registers(1000, 1);
+
+        assert.equal(off.duty, 0);
+        assert.equal(off.dutyCycle, 0);
+        assert.equal(on.duty, on.period);
+        assert.equal(on.dutyCycle, 1);
+    });
+
+    it('rejects frequencies and duty cycles out of range', () => {
+        [0, -1, NaN, undefined].forEach((frequency) => {
+            assert.throws(() => Pwm.pwm_registers(frequency, 0.5), RangeError);
+        });
+        [-0.1, 1.1, NaN, undefined].forEach((duty_cycle) => {
+            assert.throws(() => Pwm.pwm_registers(1000, duty_cycle), RangeError);
+        });
+    });
+});
+
+describe('Pwm', () => {
+    var pirate, emu;
+
+    before(() => helper.connect({ frequency: () => 12345 }).then((c) => {
+        pirate = c.pirate;
+        emu = c.emu;
+    }));
+
+    after(() => pirate.close());
+
+    it('start() sends the timer registers and stop() stops it', () => {
+        var sent = [];
+        var onpwm = (regs) => sent.push(regs);
+
+        emu.on('pwm', onpwm);
+
+        return pirate.pwm.start({ frequency: 100, dutyCycle: 0.25 })
+            .then((regs) => {
+                assert.equal(regs.prescaler, 1);
+                assert.equal(pirate.pwm.running, true);
+                return pirate.pwm.stop();
+            })
+            .then(() => {
+                emu.removeListener('pwm', onpwm);
+                assert.deepEqual(sent, [{ prescaler: 1, duty: 5000, period: 19999 }, null]);
+                assert.equal(pirate.pwm.running, false);
+            });
+    });
+
+    it('start() rejects a frequency out of range without sending anything', () => {
+        var sent = [];
+        var onpwm = (regs) => sent.push(regs);
+
+        emu.on('pwm', onpwm);
+
+        return assert.rejects(pirate.pwm.start({ frequency: 20000000 }), RangeError)
+            .then(() => {
+                emu.removeListener('pwm', onpwm);
+                assert.deepEqual(sent, []);
+            });
+    });
+
+    it('measure_frequency() counts the signal on AUX', () => {
+        return pirate.pwm.measure_frequency()
+            .then((hz) => assert.equal(hz, 12345));
+    });
+
+    it('needs binmode', () => {
+        return pirate.spi.start({})
+            .then(() => assert.rejects(pirate.pwm.start({ frequency: 1000 }), BusPirate.errors.ModeError))
+            .then(() => assert.rejects(pirate.pwm.measure_frequency(), BusPirate.errors.ModeError))
+            .then(() => pirate.enter_binmode());
+    });
+});
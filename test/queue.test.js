@@ -0,0 +1,55 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var helper = require('./helper');
+
+
+describe('BusPirate transaction queue', () => {
+    var pirate;
+
+    before(() => helper.connect({ spi: (mosi) => mosi ^ 0xff }).then((c) => {
+        pirate = c.pirate;
+        return pirate.spi.start({});
+    }));
+
+    after(() => pirate.close());
+
+    it('gives concurrent operations their own replies', () => {
+        return Promise.all([
+            pirate.spi.write_read([0x01, 0x02]),
+            pirate.config_periph({ power: true }),
+            pirate.spi.write_read([0x10]),
+            pirate.config_periph({})
+        ])
+            .then((results) => {
+                assert.deepEqual(Array.from(results[0]), [0xfe, 0xfd]);
+                assert.deepEqual(Array.from(results[2]), [0xef]);
+                assert.equal(pirate.periph.power, false);
+            });
+    });
+
+    it('runs one transaction at a time, in order', () => {
+        var order = [];
+        var first = pirate.transaction((tx) => {
+            order.push('first');
+            return tx.command([0x10, 0x55], [0x01, 0xaa])
+                .then(() => order.push('first done'));
+        });
+        var second = pirate.transaction(() => order.push('second'));
+
+        return Promise.all([first, second])
+            .then(() => assert.deepEqual(order, ['first', 'first done', 'second']));
+    });
+
+    it('keeps going after a transaction fails', () => {
+        var failed = pirate.transaction(() => { throw new Error('oops'); });
+        var next = pirate.spi.write_read([0x00]);
+
+        return assert.rejects(failed, /oops/)
+            .then(() => next)
+            .then((miso) => assert.deepEqual(Array.from(miso), [0xff]));
+    });
+});
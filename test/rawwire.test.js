@@ -0,0 +1,91 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+var helper = require('./helper');
+
+
+describe('RawWire', () => {
+    var pirate, emu;
+    var written = [];
+    var bits = [1, 0, 1];
+    var ticks = 0;
+
+    before(() => helper.connect({
+        rawwire: {
+            write: (byte) => { written.push(byte); return byte ^ 0xff; },
+            read_bit: () => bits.shift(),
+            ticks: (num) => { ticks += num; }
+        }
+    }).then((c) => {
+        pirate = c.pirate;
+        emu = c.emu;
+    }));
+
+    after(() => pirate.close());
+
+    it('needs to be started', () => {
+        return assert.rejects(pirate.rawwire.write([0x00]), BusPirate.errors.ModeError)
+            .then(() => assert.rejects(pirate.rawwire.read_bit(), BusPirate.errors.ModeError))
+            .then(() => assert.rejects(pirate.rawwire.start_bit(), BusPirate.errors.ModeError));
+    });
+
+    it('start() enters the mode and sets it up', () => {
+        var configs = [];
+        var onconfig = (mode, code) => configs.push(code);
+
+        emu.on('config', onconfig);
+
+        return pirate.rawwire.start({ speed: 100, wires: 3 })
+            .then((ok) => {
+                emu.removeListener('config', onconfig);
+                assert.equal(ok, true);
+                assert.equal(pirate.mode, 'rawwire');
+                assert.equal(emu.mode, 'rawwire');
+                assert.deepEqual(pirate.rawwire.settings, { speed: 100, pin_output: 1, wires: 3, lsb_first: 0 });
+                assert.deepEqual(configs, [0x62, 0x8c]);
+            });
+    });
+
+    it('write() sends blocks of up to 16 bytes and returns what was read back', () => {
+        var data = [];
+
+        for(var i = 0; i < 20; i++) {
+            data.push(i);
+        }
+        written.length = 0;
+
+        return pirate.rawwire.write(data)
+            .then((read) => {
+                assert.deepEqual(written, data);
+                assert.deepEqual(Array.from(read), data.map((b) => b ^ 0xff));
+            });
+    });
+
+    it('read_bit() clocks in one bit at a time', () => {
+        return pirate.rawwire.read_bit()
+            .then((bit) => {
+                assert.equal(bit, 1);
+                return pirate.rawwire.read_bit();
+            })
+            .then((bit) => assert.equal(bit, 0));
+    });
+
+    it('clock_ticks() sends them 16 at a time', () => {
+        ticks = 0;
+
+        return pirate.rawwire.clock_ticks(20)
+            .then(() => assert.equal(ticks, 20));
+    });
+
+    it('stops working when the mode is left', () => {
+        return pirate.enter_binmode()
+            .then(() => {
+                assert.equal(pirate.rawwire.started, false);
+                return assert.rejects(pirate.rawwire.read_byte(), BusPirate.errors.ModeError);
+            });
+    });
+});
@@ -0,0 +1,82 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var BusPirate = require('..');
+var helper = require('./helper');
+
+
+describe('reconnect', () => {
+    it('restores the mode, settings and peripherals after the device goes away', () => {
+        var server = new helper.EmulatorServer({ spi: (mosi) => mosi ^ 0xff });
+        var pirate;
+        var events = [];
+
+        return server.listen()
+            .then((port) => new Promise((resolve) => {
+                pirate = new BusPirate('127.0.0.1:' + port, { reconnect: true, reconnect_interval: 100 });
+                pirate.on('disconnected', () => events.push('disconnected'));
+                pirate.once('connected', resolve);
+            }))
+            .then(() => pirate.spi.start({ speed: 1000 }))
+            .then(() => pirate.config_periph({ power: true }))
+            .then(() => new Promise((resolve) => {
+                pirate.once('reconnected', resolve);
+                server.drop();
+            }))
+            .then((mode) => {
+                var emu = server.emulators[1];
+
+                assert.equal(mode, 'spi');
+                assert.deepEqual(events, ['disconnected']);
+                assert.equal(pirate.mode, 'spi');
+                assert.equal(emu.mode, 'spi');
+                assert.equal(pirate.spi.settings.speed, 1000);
+                assert.equal(pirate.periph.power, true);
+                return pirate.spi.write_read([0x01]);
+            })
+            .then((miso) => {
+                assert.deepEqual(Array.from(miso), [0xfe]);
+                return pirate.close();
+            })
+            .then(() => server.close(), (err) => {
+                return pirate.close().then(() => server.close()).then(() => { throw err; });
+            });
+    });
+
+    it("doesn't ask a UART bridge for its info banner", () => {
+        var server = new helper.EmulatorServer();
+        var pirate;
+        var infos = 0;
+
+        return server.listen()
+            .then((port) => new Promise((resolve) => {
+                pirate = new BusPirate('127.0.0.1:' + port, { reconnect: true, reconnect_interval: 100 });
+                pirate.on('info', () => infos++);
+                pirate.once('connected', resolve);
+            }))
+            .then(() => pirate.uart.start({}))
+            .then(() => pirate.uart.uart_bridge())
+            .then(() => new Promise((resolve) => {
+                // Nothing comes back to say the bridge is up
+                setTimeout(resolve, 50);
+            }))
+            .then(() => new Promise((resolve) => {
+                pirate.once('reconnected', resolve);
+                server.drop();
+            }))
+            .then((mode) => {
+                assert.equal(mode, 'uart_bridge');
+                assert.equal(infos, 1);
+                assert.equal(pirate.mode, 'uart_bridge');
+                return new Promise((resolve) => setTimeout(resolve, 50));
+            })
+            .then(() => {
+                assert.equal(server.emulators[1].mode, 'uart_bridge');
+                return pirate.close();
+            })
+            .then(() => server.close(), (err) => {
+                return pirate.close().then(() => server.close()).then(() => { throw err; });
+            });
+    });
+});
@@ -0,0 +1,131 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+
+
+/**
+ * Connect a BusPirate to a transport, resolving once it is in binmode
+ */
+function connect(device, options) {
+    var pirate = new BusPirate(device, options || {});
+
+    return new Promise((resolve, reject) => {
+        pirate.once('connected', () => resolve(pirate));
+        pirate.once('error', reject);
+    });
+}
+
+/**
+ * The session being recorded and replayed
+ */
+function session(pirate) {
+    return pirate.spi.start({ speed: 1000 })
+        .then(() => pirate.spi.write_read([0x9f, 0x00, 0x00]));
+}
+
+
+describe('Recorder and ReplayTransport', () => {
+    var file = path.join(os.tmpdir(), 'buspirate-replay-' + process.pid + '.jsonl');
+    var recorded;
+
+    // Record a session against the emulator
+    before(() => {
+        var pirate = new BusPirate(new BusPirate.Emulator({ spi: (mosi) => mosi ^ 0xff }));
+        var recorder = new BusPirate.Recorder(pirate, file);
+
+        return new Promise((resolve) => pirate.once('connected', resolve))
+            .then(() => session(pirate))
+            .then((miso) => {
+                recorded = miso;
+                return pirate.close();
+            })
+            .then(() => recorder.stop())
+            .then((count) => assert.ok(count > 0));
+    });
+
+    after(() => fs.unlinkSync(file));
+
+    it('records what went each way', () => {
+        return BusPirate.Recorder.load(file)
+            .then((entries) => {
+                var spi = entries.filter((e) => e.mode == 'spi');
+
+                assert.equal(entries[0].dir, 'tx');
+                assert.ok(spi.some((e) => e.dir == 'tx' && e.data.equals(new Buffer([0x9f, 0x00, 0x00]))));
+                assert.ok(spi.some((e) => e.dir == 'rx' && e.data.equals(new Buffer([0x60, 0xff, 0xff]))));
+            });
+    });
+
+    it('plays the session back without hardware', () => {
+        var replay = new BusPirate.ReplayTransport(file);
+        var finished = false;
+
+        replay.on('finished', () => { finished = true; });
+
+        return connect(replay)
+            .then((pirate) => {
+                assert.equal(pirate.info.firmware, '5.10');
+                return session(pirate)
+                    .then((miso) => {
+                        assert.deepEqual(miso, recorded);
+                        assert.deepEqual(Array.from(miso), [0x60, 0xff, 0xff]);
+                        return pirate.close();
+                    });
+            })
+            .then(() => assert.ok(finished));
+    });
+
+    it('reports writes that aren\'t in the recording', () => {
+        return connect(new BusPirate.ReplayTransport(file), { timeout: 100 })
+            .then((pirate) => {
+                var error = new Promise((resolve) => pirate.once('error', resolve));
+
+                return pirate.spi.start({ speed: 1000 })
+                    .then(() => assert.rejects(pirate.spi.write_read([0x55, 0x00, 0x00]), BusPirate.errors.TimeoutError))
+                    .then(() => error)
+                    .then((err) => {
+                        assert.match(err.message, /^Replay mismatch at entry \d+: wrote 550000, recording has 9f0000$/);
+                        return pirate.close({ reset: false });
+                    });
+            });
+    });
+});
+
+describe('ReplayTransport lookahead', () => {
+    var entries = [
+        { t: 0, dir: 'tx', data: 'aa' },
+        { t: 1, dir: 'tx', data: 'bb' },
+        { t: 2, dir: 'rx', data: '01' }
+    ];
+
+    function replay(options) {
+        var transport = new BusPirate.ReplayTransport(entries, options);
+
+        return new Promise((resolve) => transport.once('open', () => resolve(transport)));
+    }
+
+    it('skips recorded writes to find a match', () => {
+        return replay({ lookahead: 1 })
+            .then((transport) => new Promise((resolve) => {
+                transport.once('data', resolve);
+                transport.write(new Buffer([0xbb]));
+            }))
+            .then((data) => assert.deepEqual(Array.from(data), [0x01]));
+    });
+
+    it('only looks so far ahead', () => {
+        return replay({ lookahead: 0 })
+            .then((transport) => new Promise((resolve) => {
+                transport.once('error', resolve);
+                transport.write(new Buffer([0xbb]));
+            }))
+            .then((err) => assert.equal(err.message, 'Replay mismatch at entry 0: wrote bb, recording has aa'));
+    });
+});
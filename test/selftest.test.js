@@ -0,0 +1,89 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var helper = require('./helper');
+
+
+describe('BusPirate self-test and diagnostics', () => {
+    var pirate, emu;
+    var errors = { short: 0, long: 0 };
+    var rail = 3.3;
+    var tests = [];
+
+    // The ADC is jumpered to +3.3V, as for the long self-test
+    before(() => helper.connect({
+        selftest: (long) => {
+            tests.push(long);
+            return long ? errors.long : errors.short;
+        },
+        adc: () => (emu.pin_levels & 0x40) ? rail : 0
+    }).then((c) => {
+        pirate = c.pirate;
+        emu = c.emu;
+    }));
+
+    after(() => pirate.close());
+
+    it('selftest() runs the short test and goes back to binmode', () => {
+        return pirate.spi.start({})
+            .then(() => pirate.selftest())
+            .then((result) => {
+                assert.deepEqual(result, { long: false, errors: 0, passed: true });
+                assert.deepEqual(tests, [false]);
+                assert.equal(pirate.mode, 'binmode');
+                assert.equal(emu.mode, 'binmode');
+            });
+    });
+
+    it('selftest() reports the errors from the long test', () => {
+        errors.long = 2;
+        tests.length = 0;
+
+        return pirate.selftest({ long: true })
+            .then((result) => {
+                errors.long = 0;
+                assert.deepEqual(result, { long: true, errors: 2, passed: false });
+                assert.deepEqual(tests, [true]);
+                assert.equal(pirate.mode, 'binmode');
+            });
+    });
+
+    it('diagnostics() checks the 3.3V rail with the long test', () => {
+        return pirate.diagnostics({ long: true })
+            .then((report) => {
+                assert.equal(report.passed, true);
+                assert.deepEqual(report.selftest, { long: true, errors: 0, passed: true });
+                assert.deepEqual(report.adc, { off: 0, on: 3.3, expected: 3.3, passed: true });
+                assert.equal(pirate.pins.levels.power, false);
+            });
+    });
+
+    it('diagnostics() fails when the rail is out of tolerance', () => {
+        rail = 2.9;
+
+        return pirate.diagnostics({ long: true })
+            .then((report) => {
+                assert.equal(report.passed, false);
+                assert.equal(report.selftest.passed, true);
+                assert.equal(report.adc.passed, false);
+                return pirate.diagnostics({ long: true, tolerance: 0.2 });
+            })
+            .then((report) => assert.equal(report.passed, true));
+    });
+
+    it('diagnostics() only reports the ADC without the long test', () => {
+        errors.short = 1;
+
+        return pirate.diagnostics()
+            .then((report) => {
+                errors.short = 0;
+                assert.equal(report.passed, false);
+                assert.deepEqual(report.selftest, { long: false, errors: 1, passed: false });
+                assert.equal(report.adc.expected, null);
+                assert.equal(report.adc.passed, null);
+            });
+    });
+});
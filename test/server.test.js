@@ -0,0 +1,180 @@
+var assert = require('assert');
+var http = require('http');
+var net = require('net');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+var helper = require('./helper');
+
+
+/**
+ * POST a body, resolving with { status, body }
+ * @param  {Object} headers  Optional - extra headers, or different ones
+ */
+function post(port, path, body, token, headers) {
+    return new Promise((resolve, reject) => {
+        headers = Object.assign({ 'Content-Type': 'application/json' }, headers);
+        if(token) {
+            headers.Authorization = 'Bearer ' + token;
+        }
+
+        var req = http.request({ host: '127.0.0.1', port: port, path: path, method: 'POST', headers: headers }, (res) => {
+            var data = '';
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+        });
+
+        req.on('error', reject);
+        req.end('string' === typeof body ? body : JSON.stringify(body));
+    });
+}
+
+/**
+ * Start a WebSocket handshake on /events, resolving with the socket and
+ * the status line of the answer
+ */
+function websocket(port, headers) {
+    return new Promise((resolve, reject) => {
+        var socket = net.connect(port, '127.0.0.1', () => {
+            var lines = ['GET /events HTTP/1.1'];
+            var all = Object.assign({
+                'Host': '127.0.0.1:' + port,
+                'Upgrade': 'websocket',
+                'Connection': 'Upgrade',
+                'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+                'Sec-WebSocket-Version': '13'
+            }, headers);
+
+            for(var name in all) {
+                lines.push(name + ': ' + all[name]);
+            }
+            socket.write(lines.join('\r\n') + '\r\n\r\n');
+        });
+
+        socket.once('data', (data) => resolve({ socket: socket, status: data.toString().split('\r\n')[0] }));
+        socket.on('error', reject);
+    });
+}
+
+
+describe('Server', () => {
+    var pirate, server, port;
+
+    before(() => helper.connect({ spi: (mosi) => mosi ^ 0xff }).then((c) => {
+        pirate = c.pirate;
+        server = new BusPirate.Server(pirate, { token: 'secret' });
+        return server.listen(0);
+    }).then((address) => {
+        port = address.port;
+    }));
+
+    after(() => server.close().then(() => pirate.close()));
+
+    it('listens on the loopback interface by default', () => {
+        assert.equal(server.http.address().address, '127.0.0.1');
+    });
+
+    it('won\'t listen on other interfaces without a token', () => {
+        var open = new BusPirate.Server(pirate);
+        return assert.rejects(open.listen(0, '0.0.0.0'), /token/);
+    });
+
+    it('needs the token', () => {
+        return post(port, '/mode', { mode: 'spi' })
+            .then((res) => assert.equal(res.status, 401));
+    });
+
+    it('transfers SPI data', () => {
+        return post(port, '/mode', { mode: 'spi' }, 'secret')
+            .then((res) => {
+                assert.equal(res.status, 200);
+                return post(port, '/spi/transfer', { data: '9f00', read: 2 }, 'secret');
+            })
+            .then((res) => {
+                assert.equal(res.status, 200);
+                assert.equal(res.body.miso, '0000');
+            });
+    });
+
+    it('rejects a bad read count', () => {
+        return Promise.all([-1, 1.5, '2', 4097].map((read) => post(port, '/spi/transfer', { data: '9f', read: read }, 'secret')))
+            .then((results) => results.forEach((res) => assert.equal(res.status, 400)));
+    });
+});
+
+describe('Server without a token', () => {
+    var pirate, server, port;
+
+    before(() => helper.connect().then((c) => {
+        pirate = c.pirate;
+        server = new BusPirate.Server(pirate);
+        return server.listen(0);
+    }).then((address) => {
+        port = address.port;
+    }));
+
+    after(() => server.close().then(() => pirate.close()));
+
+    it('only takes application/json bodies', () => {
+        return post(port, '/mode', '{"mode":"spi"}', null, { 'Content-Type': 'text/plain' })
+            .then((res) => {
+                assert.equal(res.status, 415);
+                assert.equal(pirate.mode, 'binmode');
+                return post(port, '/periph', '', null, { 'Content-Type': 'application/x-www-form-urlencoded' });
+            })
+            .then((res) => assert.equal(res.status, 415));
+    });
+
+    it('turns away other sites', () => {
+        return post(port, '/mode', { mode: 'spi' }, null, { Origin: 'http://example.com' })
+            .then((res) => {
+                assert.equal(res.status, 403);
+                assert.equal(pirate.mode, 'binmode');
+
+                // DNS rebinding: a name that isn't this machine
+                return post(port, '/mode', { mode: 'spi' }, null, { Host: 'example.com:' + port });
+            })
+            .then((res) => {
+                assert.equal(res.status, 403);
+                return post(port, '/mode', { mode: 'binmode' }, null, { Origin: 'http://127.0.0.1:' + port });
+            })
+            .then((res) => assert.equal(res.status, 200));
+    });
+
+    it('turns away WebSockets from other sites', () => {
+        return websocket(port, { Origin: 'http://example.com' })
+            .then((ws) => {
+                assert.equal(ws.status, 'HTTP/1.1 403 Forbidden');
+                ws.socket.destroy();
+                return websocket(port, { Origin: 'http://localhost:' + port, Host: 'localhost:' + port });
+            })
+            .then((ws) => {
+                assert.equal(ws.status, 'HTTP/1.1 101 Switching Protocols');
+                ws.socket.destroy();
+            });
+    });
+
+    it('closes WebSockets that send too much', () => {
+        return websocket(port)
+            .then((ws) => new Promise((resolve) => {
+                var received = [];
+
+                ws.socket.on('data', (data) => received.push(data));
+                ws.socket.on('end', () => {
+                    ws.socket.destroy();
+                    resolve(Buffer.concat(received));
+                });
+
+                // The start of a frame that never finishes
+                ws.socket.write(new Buffer([0x81, 0xff, 0, 0, 0, 0, 0x10, 0, 0, 0, 1, 2, 3, 4]));
+                ws.socket.write(new Buffer(70000));
+            }))
+            .then((data) => {
+                // Close frame, status 1009
+                assert.deepEqual(Array.from(data.slice(-4)), [0x88, 0x02, 0x03, 0xf1]);
+            });
+    });
+});
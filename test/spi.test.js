@@ -0,0 +1,96 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var helper = require('./helper');
+
+
+describe('Spi', () => {
+    var pirate, emu;
+    var cs = [];
+
+    before(() => helper.connect({ spi: (mosi) => mosi ^ 0xff }).then((c) => {
+        pirate = c.pirate;
+        emu = c.emu;
+        emu.on('cs', (active) => cs.push(active));
+        return pirate.spi.start({ speed: 1000 });
+    }));
+
+    after(() => pirate.close());
+
+    it('write_read() clocks out the data and returns MISO, framed by CS', () => {
+        cs.length = 0;
+
+        return pirate.spi.write_read([0x00, 0x0f, 0xa5])
+            .then((miso) => {
+                assert.deepEqual(Array.from(miso), [0xff, 0xf0, 0x5a]);
+                assert.deepEqual(cs, [true, false]);
+            });
+    });
+
+    it('write_read() leaves CS alone when asked to', () => {
+        cs.length = 0;
+
+        return pirate.spi.write_read([0x01], true)
+            .then((miso) => {
+                assert.deepEqual(Array.from(miso), [0xfe]);
+                assert.deepEqual(cs, []);
+            });
+    });
+
+    it('write_then_read() writes, then reads by clocking out 0xff', () => {
+        var mosi = [];
+        var onspi = (b) => mosi.push(b);
+
+        emu.on('spi', onspi);
+
+        assert.equal(pirate.spi.has_write_then_read(), true);
+
+        return pirate.spi.write_then_read([0x9f], 3)
+            .then((miso) => {
+                emu.removeListener('spi', onspi);
+                assert.deepEqual(mosi, [0x9f, 0xff, 0xff, 0xff]);
+                assert.deepEqual(Array.from(miso), [0x00, 0x00, 0x00]);
+            });
+    });
+
+    it('decodes sniffed traffic into transactions', () => {
+        return pirate.spi.sniff('low')
+            .then(() => new Promise((resolve) => {
+                pirate.spi.once('transaction', resolve);
+                emu.spi_bus([0x9f, 0x00], [0xff, 0xef]);
+            }))
+            .then((t) => {
+                assert.deepEqual(Array.from(t.mosi), [0x9f, 0x00]);
+                assert.deepEqual(Array.from(t.miso), [0xff, 0xef]);
+                assert.equal(t.cs, true);
+                return pirate.spi.sniff(false);
+            })
+            .then(() => assert.equal(pirate.spi.sniffer, false));
+    });
+});
+
+describe('Spi on old firmware', () => {
+    it('write_then_read() uses bulk transfers without trying 0x04', () => {
+        return helper.connect({ firmware: '5.4', write_then_read: false, spi: (mosi) => mosi ^ 0xff }).then((c) => {
+            var mosi = [];
+
+            c.emu.on('spi', (b) => mosi.push(b));
+
+            return c.pirate.spi.start({})
+                .then(() => {
+                    assert.equal(c.pirate.spi.has_write_then_read(), false);
+                    return c.pirate.spi.write_then_read([0x9f], 2);
+                })
+                .then((miso) => {
+                    assert.deepEqual(mosi, [0x9f, 0xff, 0xff]);
+                    assert.deepEqual(Array.from(miso), [0x00, 0x00]);
+                    assert.equal(c.pirate.mode, 'spi');
+                    return c.pirate.close();
+                });
+        });
+    });
+});
+
@@ -0,0 +1,104 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+var helper = require('./helper');
+
+
+/**
+ * A 16KB 25-series flash with 4KB sectors: just enough of the command set
+ * for SpiFlash to read, erase and program it
+ */
+function Flash() {
+    this.memory = Buffer.alloc(0x4000, 0xff);
+    this.wel = false;
+    this.cmd = [];
+}
+
+Flash.prototype.cs = function(active) {
+    var cmd = this.cmd;
+    var addr = ((cmd[1] << 16) | (cmd[2] << 8) | cmd[3]) % this.memory.length;
+
+    this.cmd = [];
+    if(active || !cmd.length) {
+        return;
+    }
+
+    if(cmd[0] == 0x06) {
+        this.wel = true;
+    } else if(cmd[0] == 0x20 && this.wel) {
+        addr -= addr % 0x1000;
+        this.memory.fill(0xff, addr, addr + 0x1000);
+        this.wel = false;
+    } else if(cmd[0] == 0x02 && this.wel) {
+        cmd.slice(4).forEach((byte, i) => {
+            var a = (addr & ~0xff) | ((addr + i) & 0xff);
+            this.memory[a] &= byte;
+        });
+        this.wel = false;
+    }
+};
+
+Flash.prototype.transfer = function(mosi) {
+    var cmd = this.cmd;
+    var n = cmd.push(mosi);
+
+    if(cmd[0] == 0x05) {
+        return this.wel ? 0x02 : 0x00;
+    }
+    if(cmd[0] == 0x03 && n > 4) {
+        var addr = (cmd[1] << 16) | (cmd[2] << 8) | cmd[3];
+        return this.memory[(addr + n - 5) % this.memory.length];
+    }
+    return 0xff;
+};
+
+
+describe('SpiFlash', () => {
+    var pirate, emu, flash;
+    var chip = new Flash();
+
+    before(() => helper.connect({ spi: (mosi) => chip.transfer(mosi) }).then((c) => {
+        pirate = c.pirate;
+        emu = c.emu;
+        emu.on('cs', (active) => chip.cs(active));
+        flash = new BusPirate.SpiFlash(pirate.spi, { geometry: { size: 0x4000 }, poll_interval: 1 });
+        return pirate.spi.start({ speed: 1000 });
+    }));
+
+    after(() => pirate.close());
+
+    it('write() of whole sectors erases, programs and verifies them', () => {
+        var data = Buffer.alloc(0x1000, 0x5a);
+
+        return flash.write(0x1000, data)
+            .then((ok) => {
+                assert.equal(ok, true);
+                assert.deepEqual(chip.memory.slice(0x1000, 0x2000), data);
+                assert.equal(chip.memory[0x0fff], 0xff);
+                assert.equal(chip.memory[0x2000], 0xff);
+            });
+    });
+
+    it('write() keeps the rest of the sectors it only partly covers', () => {
+        var old = Buffer.alloc(0x4000);
+        var data = Buffer.from([1, 2, 3, 4, 5, 6, 7, 8]);
+
+        for(var i = 0; i < old.length; i++) {
+            old[i] = (i * 7) & 0xff;
+        }
+        old.copy(chip.memory);
+
+        // Straddles the boundary between the first and second sectors
+        return flash.write(0x0ffc, data)
+            .then(() => {
+                var expected = Buffer.from(old);
+
+                data.copy(expected, 0x0ffc);
+                assert.deepEqual(chip.memory, expected);
+            });
+    });
+});
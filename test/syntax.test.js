@@ -0,0 +1,51 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+var helper = require('./helper');
+
+
+describe('syntax.parse()', () => {
+    it('parses and merges operations', () => {
+        assert.deepEqual(BusPirate.syntax.parse('[0x9f 0b1, 12:2 "ab" r r:3 & %:2]'), [
+            { op: 'start' },
+            { op: 'write', data: [0x9f, 0x01, 12, 12, 0x61, 0x62] },
+            { op: 'read', count: 4 },
+            { op: 'delay', us: 2001 },
+            { op: 'stop' }
+        ]);
+    });
+
+    it('rejects what it doesn\'t understand', () => {
+        assert.throws(() => BusPirate.syntax.parse('[0x9fz]'), SyntaxError);
+        assert.throws(() => BusPirate.syntax.parse('0x100'), SyntaxError);
+    });
+});
+
+describe('BusPirate.run()', () => {
+    var pirate;
+
+    before(() => helper.connect({ spi: (mosi) => mosi ^ 0xff }).then((c) => {
+        pirate = c.pirate;
+    }));
+
+    after(() => pirate.close());
+
+    it('needs a bus mode', () => {
+        return assert.rejects(pirate.run('[0x9f]'), BusPirate.errors.ModeError);
+    });
+
+    it('runs bus syntax in SPI mode', () => {
+        return pirate.spi.start({})
+            .then(() => pirate.run('[0x9f r:2]'))
+            .then((result) => {
+                assert.deepEqual(result.steps.map((s) => s.op), ['start', 'write', 'read', 'stop']);
+                assert.deepEqual(Array.from(result.written), [0x9f]);
+                assert.deepEqual(Array.from(result.read), [0x00, 0x00]);
+                assert.deepEqual(Array.from(result.steps[1].miso), [0x60]);
+            });
+    });
+});
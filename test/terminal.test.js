@@ -0,0 +1,106 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+var Terminal = require('../lib/terminal');
+var helper = require('./helper');
+
+
+describe('Terminal.parse_pin_states()', () => {
+    it('parses the voltage report', () => {
+        var states = Terminal.parse_pin_states([
+            'Pinstates:',
+            '1.(BR)  2.(RD)  3.(OR)  4.(YW)  5.(GN)  6.(BL)  7.(PU)  8.(GR)  9.(WT)  0.(Blk)',
+            'GND     3.3V    5.0V    ADC     VPU     AUX     CLK     MOSI    CS      MISO',
+            'P       P       P       I       I       O       I       I       I       I',
+            'GND     3.30V   5.00V   1.25V   0.00V   H       L       L       H       L'
+        ]);
+
+        assert.deepEqual(states.gnd, { direction: 'P', value: 'GND' });
+        assert.deepEqual(states['3.3v'], { direction: 'P', value: 3.3 });
+        assert.deepEqual(states['5.0v'], { direction: 'P', value: 5 });
+        assert.deepEqual(states.adc, { direction: 'I', value: 1.25 });
+        assert.deepEqual(states.aux, { direction: 'O', value: true });
+        assert.deepEqual(states.cs, { direction: 'I', value: true });
+        assert.deepEqual(states.miso, { direction: 'I', value: false });
+    });
+
+    it('rejects output without the table', () => {
+        assert.throws(() => Terminal.parse_pin_states(['Syntax error']), BusPirate.errors.UnexpectedResponseError);
+    });
+});
+
+describe('Terminal', () => {
+    var pirate;
+
+    before(() => helper.connect({ adc: () => 1.65 }).then((c) => {
+        pirate = c.pirate;
+    }));
+
+    after(() => pirate.close());
+
+    it('needs to be entered first', () => {
+        return assert.rejects(pirate.terminal.command('i'), BusPirate.errors.ModeError)
+            .then(() => pirate.terminal.exit())
+            .then((left) => assert.equal(left, false));
+    });
+
+    it('enter() leaves binmode for a fresh HiZ prompt', () => {
+        return pirate.terminal.enter()
+            .then((ok) => {
+                assert.equal(ok, true);
+                assert.equal(pirate.mode, 'terminal');
+                assert.equal(pirate.terminal.prompt, 'HiZ');
+                return pirate.terminal.enter();
+            })
+            .then((ok) => assert.equal(ok, true));
+    });
+
+    it('command() returns the output and the new prompt', () => {
+        return pirate.terminal.command('i')
+            .then((result) => {
+                assert.equal(result.command, 'i');
+                assert.equal(result.lines[0], 'Bus Pirate v3.b');
+                assert.equal(result.prompt, 'HiZ');
+            });
+    });
+
+    it('command() takes one line at a time', () => {
+        return assert.rejects(pirate.terminal.command('i\rv'), RangeError);
+    });
+
+    it('run() answers menus one line at a time', () => {
+        return pirate.terminal.run(['m', '5'])
+            .then((results) => {
+                assert.equal(results[0].prompt, '(1)');
+                assert.equal(results[0].lines[4], '5. SPI');
+                assert.deepEqual(results[1].lines, ['Ready']);
+                assert.equal(results[1].prompt, 'SPI');
+                assert.equal(pirate.terminal.prompt, 'SPI');
+            });
+    });
+
+    it('pin_states() parses the voltage report', () => {
+        return pirate.terminal.command('W')
+            .then(() => pirate.terminal.pin_states())
+            .then((states) => {
+                assert.equal(states['3.3v'].value, 3.3);
+                assert.equal(states['5.0v'].value, 5);
+                assert.equal(states.adc.value, 1.65);
+                assert.equal(states.cs.value, false);
+                return pirate.terminal.command('w');
+            });
+    });
+
+    it('exit() goes back to binmode', () => {
+        return pirate.terminal.exit()
+            .then((left) => {
+                assert.equal(left, true);
+                assert.equal(pirate.mode, 'binmode');
+                assert.equal(pirate.terminal.prompt, null);
+            });
+    });
+});
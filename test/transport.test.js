@@ -0,0 +1,112 @@
+var assert = require('assert');
+var net = require('net');
+var stream = require('stream');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+
+var BusPirate = require('..');
+var Transport = require('../lib/transport');
+var helper = require('./helper');
+
+
+/**
+ * A Duplex stream with an emulator on the other end
+ */
+function emulator_stream(hooks) {
+    var emu = new BusPirate.Emulator(hooks);
+    var duplex = new stream.Duplex({
+        read: () => {},
+        write: (data, encoding, callback) => {
+            emu.write(data);
+            callback();
+        }
+    });
+
+    emu.on('data', (data) => duplex.push(data));
+    return duplex;
+}
+
+
+describe('Transport.create()', () => {
+    it('makes TCP transports from addresses', () => {
+        var server = net.createServer((sock) => sock.on('error', () => {}));
+
+        return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+            .then(() => {
+                var port = server.address().port;
+                var transports = [
+                    Transport.create('127.0.0.1:' + port),
+                    Transport.create('tcp://127.0.0.1:' + port),
+                    Transport.create({ host: '127.0.0.1', port: port })
+                ];
+
+                transports.forEach((t) => {
+                    assert.ok(t instanceof Transport.TcpTransport);
+                    assert.equal(t.path, '127.0.0.1:' + port);
+                });
+
+                return Promise.all(transports.map((t) => new Promise((resolve) => {
+                    t.once('open', () => {
+                        t.stream.once('close', resolve);
+                        t.stream.destroy();
+                    });
+                })));
+            })
+            .then(() => new Promise((resolve) => server.close(resolve)));
+    });
+
+    it('wraps Duplex streams and passes transports through', () => {
+        var t = Transport.create(new stream.PassThrough());
+
+        assert.ok(t instanceof Transport.StreamTransport);
+        assert.strictEqual(Transport.create(t), t);
+        assert.throws(() => Transport.create(42), TypeError);
+    });
+});
+
+describe('BusPirate transports', () => {
+    it('works over any Duplex stream', () => {
+        var pirate = new BusPirate(emulator_stream({ spi: (mosi) => mosi ^ 0xff }));
+
+        return new Promise((resolve) => pirate.once('connected', resolve))
+            .then(() => pirate.spi.start({}))
+            .then(() => pirate.spi.write_read([0x0f]))
+            .then((miso) => {
+                assert.deepEqual(Array.from(miso), [0xf0]);
+                return pirate.close();
+            });
+    });
+
+    it('works over TCP', () => {
+        var server = new helper.EmulatorServer();
+        var pirate;
+
+        return server.listen()
+            .then((port) => new Promise((resolve) => {
+                pirate = new BusPirate('127.0.0.1:' + port);
+                pirate.once('connected', resolve);
+            }))
+            .then(() => {
+                assert.equal(pirate.mode, 'binmode');
+                assert.equal(server.emulators[0].mode, 'binmode');
+                return pirate.close();
+            })
+            .then(() => server.close());
+    });
+
+    it('emits an error when the connection fails before opening', () => {
+        var server = net.createServer();
+
+        // Find a port with nothing listening on it
+        return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+            .then(() => {
+                var port = server.address().port;
+                return new Promise((resolve) => server.close(() => resolve(port)));
+            })
+            .then((port) => new Promise((resolve) => {
+                var pirate = new BusPirate('127.0.0.1:' + port);
+                pirate.once('error', resolve);
+            }))
+            .then((err) => assert.equal(err.code, 'ECONNREFUSED'));
+    });
+});
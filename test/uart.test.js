@@ -0,0 +1,157 @@
+var assert = require('assert');
+var describe = require('node:test').describe;
+var it = require('node:test').it;
+var before = require('node:test').before;
+var after = require('node:test').after;
+
+var BusPirate = require('..');
+var helper = require('./helper');
+
+
+describe('Uart', () => {
+    var pirate, emu;
+    var sent = [];
+
+    before(() => helper.connect({ uart: (data) => sent.push(data) }).then((c) => {
+        pirate = c.pirate;
+        emu = c.emu;
+    }));
+
+    after(() => pirate.close());
+
+    it('setopts() sends the baud rate and configuration', () => {
+        var seen = [];
+        var onconfig = (mode, code) => seen.push(code);
+
+        emu.on('config', onconfig);
+
+        return pirate.uart.start({ baudrate: 9600 })
+            .then(() => {
+                emu.removeListener('config', onconfig);
+                assert.equal(pirate.mode, 'uart');
+                assert.deepEqual(seen, [0x64, 0x90]);
+                assert.equal(pirate.uart.settings.baudrate, 9600);
+            });
+    });
+
+    it('write() sends data in blocks of up to 16 bytes', () => {
+        sent.length = 0;
+
+        return pirate.uart.write('The quick brown fox jumps')
+            .then(() => {
+                assert.deepEqual(sent.map((b) => b.length), [16, 9]);
+                assert.equal(Buffer.concat(sent).toString(), 'The quick brown fox jumps');
+            });
+    });
+
+    it('emits received data once RX echo is on', () => {
+        return pirate.uart.echo_rx(true)
+            .then(() => new Promise((resolve) => {
+                pirate.uart.once('data', resolve);
+                emu.uart_receive('ping');
+            }))
+            .then((data) => assert.equal(data.toString(), 'ping'));
+    });
+
+    it('keeps data that arrives while a command waits for its reply', () => {
+        var received = [];
+        var ondata = (data) => received.push(data);
+        var process = emu.process;
+        var device = emu.uart_device;
+
+        // Some before the first block is acknowledged, and some straight
+        // after the last acknowledgement
+        emu.uart_device = (data) => emu.uart_receive('late');
+        emu.process = function(byte) {
+            if((byte & 0xf0) == 0x10 && !received.length) {
+                this.uart_receive('early ');
+            }
+            process.call(this, byte);
+        };
+        pirate.uart.on('data', ondata);
+
+        return pirate.uart.write('x')
+            .then(() => {
+                emu.process = process;
+                emu.uart_device = device;
+                pirate.uart.removeListener('data', ondata);
+                assert.equal(Buffer.concat(received).toString(), 'early late');
+            });
+    });
+
+    it("doesn't pick a longer reply out of UART data", () => {
+        var p = pirate.expect([0x01, 0x01]);
+
+        // Taking the first and last bytes as the reply would lose the ACK
+        // that is still on its way
+        emu.uart_receive(new Buffer([0x01, 0x41, 0x01]));
+
+        return p.then(() => assert.fail('matched the reply among UART data'), (err) => {
+            assert.ok(err instanceof BusPirate.errors.UnexpectedResponseError);
+        });
+    });
+
+    it('writes a byte at a time while RX echo is on', () => {
+        var received = [];
+        var ondata = (data) => received.push(data);
+        var process = emu.process;
+
+        // Data arrives between every acknowledgement
+        emu.process = function(byte) {
+            process.call(this, byte);
+            this.uart_receive('.');
+        };
+        pirate.uart.on('data', ondata);
+        sent.length = 0;
+
+        return pirate.uart.write('abc')
+            .then(() => {
+                emu.process = process;
+                pirate.uart.removeListener('data', ondata);
+                assert.deepEqual(sent.map((b) => b.toString()), ['a', 'b', 'c']);
+                assert.equal(Buffer.concat(received).toString(), '......');
+            });
+    });
+
+    it('works as a Duplex stream', () => {
+        var uart = pirate.uart.create_stream();
+
+        sent.length = 0;
+
+        return new Promise((resolve, reject) => {
+            uart.once('data', resolve);
+            uart.write('hello', (err) => err ? reject(err) : emu.uart_receive('world'));
+        })
+            .then((data) => {
+                assert.equal(Buffer.concat(sent).toString(), 'hello');
+                assert.equal(data.toString(), 'world');
+                uart.destroy();
+            });
+    });
+
+    it('ends the stream when UART mode is left', () => {
+        var uart = pirate.uart.create_stream();
+
+        return new Promise((resolve) => {
+            uart.on('end', resolve);
+            uart.resume();
+            pirate.enter_binmode();
+        })
+            .then(() => assert.equal(pirate.mode, 'binmode'));
+    });
+});
+
+describe('Uart stream', () => {
+    it('ends when the BusPirate closes', () => {
+        return helper.connect().then((c) => {
+            return c.pirate.uart.start({})
+                .then(() => new Promise((resolve) => {
+                    var uart = c.pirate.uart.create_stream();
+
+                    uart.on('end', resolve);
+                    uart.resume();
+                    c.pirate.close({ reset: false });
+                }));
+        });
+    });
+});